@@ -17,8 +17,148 @@
     editor: document.getElementById('editor'),
     btnSave: document.getElementById('btnSave'),
     btnExport: document.getElementById('btnExport'),
+    btnExportCsv: document.getElementById('btnExportCsv'),
+    csvExportType: document.getElementById('csvExportType'),
+    exportPrivacy: document.getElementById('exportPrivacy'),
     btnImport: document.getElementById('btnImport'),
+    btnImportCmu: document.getElementById('btnImportCmu'),
     btnCompare: document.getElementById('btnCompare'),
+    viewingStatus: document.getElementById('viewingStatus'),
+    comparison: {
+      section: document.getElementById('comparisonSection'),
+      status: document.getElementById('compareStatus'),
+      matrix: document.getElementById('compareMatrix'),
+      pairA: document.getElementById('comparePairA'),
+      pairB: document.getElementById('comparePairB'),
+      pairScore: document.getElementById('comparePairScore'),
+      shift: document.getElementById('compareShift'),
+      rhythm: document.getElementById('compareRhythm'),
+      heatmapA: document.getElementById('compareHeatmapA'),
+      heatmapB: document.getElementById('compareHeatmapB'),
+      heatmapATitle: document.getElementById('compareHeatmapATitle'),
+      heatmapBTitle: document.getElementById('compareHeatmapBTitle'),
+      tbody: document.getElementById('compareDigraphBody'),
+      btnClose: document.getElementById('btnCompareClose'),
+    },
+    sideBySide: {
+      sourceA: document.getElementById('sideSourceA'),
+      sourceB: document.getElementById('sideSourceB'),
+      btnShow: document.getElementById('btnSideBySide'),
+      columns: ['A', 'B'].map(id => ({
+        title: document.getElementById(`side${id}Title`),
+        stats: document.getElementById(`side${id}Stats`),
+        timeline: document.getElementById(`side${id}Timeline`),
+        rhythm: document.getElementById(`side${id}Rhythm`),
+        heatmap: document.getElementById(`side${id}Heatmap`),
+      })),
+      deltaHeatmap: document.getElementById('sideDeltaHeatmap'),
+    },
+    importDialog: {
+      dialog: document.getElementById('importDialog'),
+      meta: document.getElementById('importMeta'),
+      counts: document.getElementById('importCounts'),
+      tbody: document.getElementById('importPreviewBody'),
+      errors: document.getElementById('importErrors'),
+      strategy: document.getElementById('importStrategy'),
+      btnConfirm: document.getElementById('btnImportConfirm'),
+      btnCancel: document.getElementById('btnImportCancel'),
+    },
+    profileList: {
+      tbody: document.getElementById('profileListBody'),
+      filter: document.getElementById('profileFilter'),
+      selectPage: document.getElementById('profileSelectPage'),
+      selection: document.getElementById('profileSelectionInfo'),
+      btnSubject: document.getElementById('btnProfileSubject'),
+      btnTags: document.getElementById('btnProfileTags'),
+      btnDelete: document.getElementById('btnProfileDelete'),
+      btnPrev: document.getElementById('btnProfilePrev'),
+      btnNext: document.getElementById('btnProfileNext'),
+      pageInfo: document.getElementById('profilePageInfo'),
+      storage: document.getElementById('storageStatus'),
+    },
+    vault: {
+      btnLock: document.getElementById('btnVaultLock'),
+      btnSetup: document.getElementById('btnVaultSetup'),
+      dialog: document.getElementById('vaultDialog'),
+      form: document.getElementById('vaultForm'),
+      title: document.getElementById('vaultDialogTitle'),
+      message: document.getElementById('vaultMessage'),
+      passphrase: document.getElementById('vaultPassphrase'),
+      confirmRow: document.getElementById('vaultConfirmRow'),
+      confirm: document.getElementById('vaultPassphraseConfirm'),
+      error: document.getElementById('vaultError'),
+      btnSubmit: document.getElementById('btnVaultSubmit'),
+      btnCancel: document.getElementById('btnVaultCancel'),
+    },
+    heatmapMetric: document.getElementById('heatmapMetric'),
+    pauseThreshold: document.getElementById('pauseThreshold'),
+    keyboardLayout: document.getElementById('keyboardLayout'),
+    ngram: {
+      size: document.getElementById('ngramSize'),
+      sort: document.getElementById('ngramSort'),
+      tbody: document.getElementById('ngramTableBody'),
+    },
+    evaluation: {
+      enrollCount: document.getElementById('evalEnrollCount'),
+      impostorCount: document.getElementById('evalImpostorCount'),
+      btnEvaluate: document.getElementById('btnEvaluate'),
+      eer: document.getElementById('evalEerValue'),
+      threshold: document.getElementById('evalThresholdValue'),
+      counts: document.getElementById('evalCountsValue'),
+      rates: document.getElementById('evalRates'),
+      roc: document.getElementById('evalRoc'),
+      status: document.getElementById('evalStatus'),
+    },
+    compareMetric: document.getElementById('compareMetric'),
+    history: {
+      subject: document.getElementById('historySubject'),
+      series: document.getElementById('historySeries'),
+      window: document.getElementById('historyWindow'),
+      chart: document.getElementById('historyChart'),
+      digraph: document.getElementById('historyDigraph'),
+      digraphChart: document.getElementById('historyDigraphChart'),
+      tbody: document.getElementById('historyDigraphBody'),
+      status: document.getElementById('historyStatus'),
+    },
+    auth: {
+      section: document.getElementById('authSection'),
+      enrollCount: document.getElementById('enrollCount'),
+      threshold: document.getElementById('verifyThreshold'),
+      btnReset: document.getElementById('btnResetTemplate'),
+      status: document.getElementById('enrollStatus'),
+      progress: document.getElementById('enrollProgressValue'),
+      score: document.getElementById('verifyScoreValue'),
+      decision: document.getElementById('verifyDecisionValue'),
+    },
+    liveAuth: {
+      section: document.getElementById('liveAuthSection'),
+      profile: document.getElementById('liveAuthProfile'),
+      window: document.getElementById('liveAuthWindow'),
+      threshold: document.getElementById('liveAuthThreshold'),
+      meter: document.getElementById('liveAuthMeter'),
+      score: document.getElementById('liveAuthScoreValue'),
+      decision: document.getElementById('liveAuthDecisionValue'),
+      features: document.getElementById('liveAuthFeaturesValue'),
+      chart: document.getElementById('liveAuthChart'),
+      alerts: document.getElementById('liveAuthAlerts'),
+      status: document.getElementById('liveAuthStatus'),
+    },
+    synthetic: {
+      text: document.getElementById('synthText'),
+      seed: document.getElementById('synthSeed'),
+      wpm: document.getElementById('synthWpm'),
+      dwell: document.getElementById('synthDwell'),
+      jitter: document.getElementById('synthJitter'),
+      variation: document.getElementById('synthVariation'),
+      fatigue: document.getElementById('synthFatigue'),
+      errorRate: document.getElementById('synthErrorRate'),
+      rollover: document.getElementById('synthRollover'),
+      typists: document.getElementById('synthTypists'),
+      sessions: document.getElementById('synthSessions'),
+      btnGenerate: document.getElementById('btnSynthGenerate'),
+      btnPopulation: document.getElementById('btnSynthPopulation'),
+      status: document.getElementById('synthStatus'),
+    },
     summary: {
       keystrokes: null,
       duration: null,
@@ -28,6 +168,19 @@
       timeline: document.getElementById('timeline'),
       rhythm: document.getElementById('rhythm'),
       heatmap: document.getElementById('heatmap'),
+    },
+    replay: {
+      btnPlay: document.getElementById('btnReplay'),
+      btnStop: document.getElementById('btnReplayStop'),
+      speed: document.getElementById('replaySpeed'),
+    },
+    dtw: {
+      sourceA: document.getElementById('dtwSourceA'),
+      sourceB: document.getElementById('dtwSourceB'),
+      series: document.getElementById('dtwSeries'),
+      btnAlign: document.getElementById('btnDtw'),
+      btnClear: document.getElementById('btnDtwClear'),
+      result: document.getElementById('dtwResult'),
     }
   };
 
@@ -37,15 +190,58 @@
     startedAt: 0,
     events: [],   // {type:'down'|'up', code, key, t}
     metrics: {},  // Calculated metrics
-    profiles: [], // Saved profiles
+    profiles: [], // Saved profiles (all records, newest last)
+    profileDb: null,  // IDBDatabase, or null when falling back to localStorage
+    profilePage: 0,
+    selectedProfiles: new Set(), // Profile ids ticked in the manager
+    viewedProfile: null, // Saved profile currently shown instead of a live capture
+    sideBySide: false,   // Side-by-side panel has been rendered
+    comparison: null,    // {profiles, metricId, matrix} shown in the comparison panel
+    pendingImport: null, // Validated import awaiting confirmation in the preview dialog
+    vault: {
+      config: null,      // {version, iterations, salt, check} when the vault is enabled
+      key: null,         // AES-GCM CryptoKey while unlocked; never persisted
+      lastActivity: 0,
+      prompt: null       // {resolve, submit} of the open passphrase dialog
+    },
     currentProfile: null,
     keyStates: new Map(), // Track key press states
-    digraphs: new Map(), // Track digraph timings
+    digraphs: new Map(), // Track digraph timings (n = 2 view of ngrams)
+    ngrams: new Map(),   // n -> Map(gram -> {keys, DD, UD, DU, UU})
+    enrollment: {
+      samples: [],    // Feature vectors captured during enrollment
+      template: null, // Built once enough samples are collected
+    },
+    liveAuth: {
+      profileId: null,  // Saved profile the reference was built from
+      reference: null,  // {mean, std, mad} of individual keystroke occurrences
+      scores: [],       // {t, score} per scored keyup in the current capture
+      below: false      // Last score was under the threshold (alert already raised)
+    },
+    dtw: null, // Active DTW alignment drawn over the Rhythm canvas
+    evaluation: null, // Last FAR/FRR evaluation result
+    replay: {
+      playing: false,
+      rafId: 0,
+      startWall: 0,        // performance.now() when event time 0 was (virtually) shown
+      speed: 1,
+      index: 0,            // Next event to apply
+      pressed: new Set(),  // Codes currently held in the replay
+      text: '',
+      caret: 0,
+      savedText: '',       // Editor contents to restore when the replay ends
+      timelineSnapshot: null
+    },
   };
 
   // Fixed phrase for testing
   const DEFAULT_PHRASE = 'the quick brown fox jumps over the lazy dog';
 
+  // ['KeyQ', 1], ['KeyW', 1], ... for a run of single-unit keys
+  function unitKeys(prefix, chars) {
+    return chars.split('').map(ch => [prefix + ch, 1]);
+  }
+
   // Configuration object for styling and visualization
   const CONFIG = {
     visualization: {
@@ -71,13 +267,86 @@
         fontFamily: 'monospace',
         spacing: 2,
         keyboardLayout: {
-          rows: [
-            ['`', '1', '2', '3', '4', '5', '6', '7', '8', '9', '0', '-', '=', 'Backspace'],
-            ['Tab', 'q', 'w', 'e', 'r', 't', 'y', 'u', 'i', 'o', 'p', '[', ']', '\\'],
-            ['CapsLock', 'a', 's', 'd', 'f', 'g', 'h', 'j', 'k', 'l', ';', '\'', 'Enter'],
-            ['z', 'x', 'c', 'v', 'b', 'n', 'm', ',', '.', '/'],
-            [' ']
-          ],
+          default: 'qwerty',
+          // Physical key rows by KeyboardEvent.code; [code, width in key units], each row 15u wide
+          geometries: {
+            ansi: [
+              [['Backquote', 1], ...unitKeys('Digit', '1234567890'), ['Minus', 1], ['Equal', 1], ['Backspace', 2]],
+              [['Tab', 1.5], ...unitKeys('Key', 'QWERTYUIOP'), ['BracketLeft', 1], ['BracketRight', 1], ['Backslash', 1.5]],
+              [['CapsLock', 1.75], ...unitKeys('Key', 'ASDFGHJKL'), ['Semicolon', 1], ['Quote', 1], ['Enter', 2.25]],
+              [['ShiftLeft', 2.25], ...unitKeys('Key', 'ZXCVBNM'), ['Comma', 1], ['Period', 1], ['Slash', 1], ['ShiftRight', 2.75]],
+              [['ControlLeft', 1.25], ['MetaLeft', 1.25], ['AltLeft', 1.25], ['Space', 6.25], ['AltRight', 1.25], ['MetaRight', 1.25], ['ContextMenu', 1.25], ['ControlRight', 1.25]]
+            ],
+            iso: [
+              [['Backquote', 1], ...unitKeys('Digit', '1234567890'), ['Minus', 1], ['Equal', 1], ['Backspace', 2]],
+              [['Tab', 1.5], ...unitKeys('Key', 'QWERTYUIOP'), ['BracketLeft', 1], ['BracketRight', 1], ['Enter', 1.5]],
+              // Second Enter cell draws the lower half of the tall ISO Enter
+              [['CapsLock', 1.75], ...unitKeys('Key', 'ASDFGHJKL'), ['Semicolon', 1], ['Quote', 1], ['Backslash', 1], ['Enter', 1.25]],
+              [['ShiftLeft', 1.25], ['IntlBackslash', 1], ...unitKeys('Key', 'ZXCVBNM'), ['Comma', 1], ['Period', 1], ['Slash', 1], ['ShiftRight', 2.75]],
+              [['ControlLeft', 1.25], ['MetaLeft', 1.25], ['AltLeft', 1.25], ['Space', 6.25], ['AltRight', 1.25], ['MetaRight', 1.25], ['ContextMenu', 1.25], ['ControlRight', 1.25]]
+            ],
+            jis: [
+              [['Backquote', 1], ...unitKeys('Digit', '1234567890'), ['Minus', 1], ['Equal', 1], ['IntlYen', 1], ['Backspace', 1]],
+              [['Tab', 1.5], ...unitKeys('Key', 'QWERTYUIOP'), ['BracketLeft', 1], ['BracketRight', 1], ['Enter', 1.5]],
+              [['CapsLock', 1.75], ...unitKeys('Key', 'ASDFGHJKL'), ['Semicolon', 1], ['Quote', 1], ['Backslash', 1], ['Enter', 1.25]],
+              [['ShiftLeft', 2.25], ...unitKeys('Key', 'ZXCVBNM'), ['Comma', 1], ['Period', 1], ['Slash', 1], ['IntlRo', 1], ['ShiftRight', 1.75]],
+              [['ControlLeft', 1.25], ['MetaLeft', 1.25], ['AltLeft', 1.25], ['NonConvert', 1.25], ['Space', 5], ['Convert', 1.25], ['KanaMode', 1.25], ['AltRight', 1.25], ['ControlRight', 1.25]]
+            ]
+          },
+          // Printed legends per software layout; unlisted codes fall back to US QWERTY
+          layouts: {
+            qwerty: { label: 'US QWERTY (ANSI)', geometry: 'ansi', legends: {} },
+            iso: {
+              label: 'UK QWERTY (ISO 105)',
+              geometry: 'iso',
+              legends: { Backquote: '`', Backslash: '#', IntlBackslash: '\\' }
+            },
+            jis: {
+              label: 'JIS 109',
+              geometry: 'jis',
+              legends: {
+                Backquote: '半/全', Equal: '^', IntlYen: '¥', BracketLeft: '@', BracketRight: '[',
+                CapsLock: '英数', Quote: ':', Backslash: ']', IntlRo: '\\',
+                NonConvert: '無変換', Convert: '変換', KanaMode: 'かな'
+              }
+            },
+            dvorak: {
+              label: 'Dvorak (ANSI)',
+              geometry: 'ansi',
+              legends: {
+                Minus: '[', Equal: ']',
+                KeyQ: '\'', KeyW: ',', KeyE: '.', KeyR: 'p', KeyT: 'y', KeyY: 'f', KeyU: 'g', KeyI: 'c', KeyO: 'r', KeyP: 'l',
+                BracketLeft: '/', BracketRight: '=',
+                KeyS: 'o', KeyD: 'e', KeyF: 'u', KeyG: 'i', KeyH: 'd', KeyJ: 'h', KeyK: 't', KeyL: 'n', Semicolon: 's', Quote: '-',
+                KeyZ: ';', KeyX: 'q', KeyC: 'j', KeyV: 'k', KeyB: 'x', KeyN: 'b', KeyM: 'm', Comma: 'w', Period: 'v', Slash: 'z'
+              }
+            },
+            colemak: {
+              label: 'Colemak (ANSI)',
+              geometry: 'ansi',
+              legends: {
+                KeyE: 'f', KeyR: 'p', KeyT: 'g', KeyY: 'j', KeyU: 'l', KeyI: 'u', KeyO: 'y', KeyP: ';',
+                KeyS: 'r', KeyD: 's', KeyF: 't', KeyG: 'd', KeyJ: 'n', KeyK: 'e', KeyL: 'i', Semicolon: 'o',
+                KeyN: 'k'
+              }
+            },
+            azerty: {
+              label: 'AZERTY (ISO)',
+              geometry: 'iso',
+              legends: {
+                Backquote: '²', Digit1: '&', Digit2: 'é', Digit3: '"', Digit4: '\'', Digit5: '(', Digit6: '-',
+                Digit7: 'è', Digit8: '_', Digit9: 'ç', Digit0: 'à', Minus: ')', Equal: '=',
+                KeyQ: 'a', KeyW: 'z', BracketLeft: '^', BracketRight: '$',
+                KeyA: 'q', Semicolon: 'm', Quote: 'ù', Backslash: '*',
+                IntlBackslash: '<', KeyZ: 'w', KeyM: ',', Comma: ';', Period: ':', Slash: '!'
+              }
+            }
+          },
+          // US QWERTY legends for non-letter, non-digit codes
+          baseLegends: {
+            Backquote: '`', Minus: '-', Equal: '=', BracketLeft: '[', BracketRight: ']', Backslash: '\\',
+            Semicolon: ';', Quote: '\'', Comma: ',', Period: '.', Slash: '/', Space: 'Space', ContextMenu: '☰'
+          },
           // Key mapping for special keys
           keyMap: {
             'Backspace': 'BS',
@@ -113,6 +382,43 @@
         }
       }
     },
+    exchange: {
+      format: 'keypress-pattern-analyzer/profiles',
+      formatVersion: 1,       // Bump when the envelope or profile schema changes
+      appVersion: '1.1.0',
+      maxEvents: 20000,       // Per imported profile
+      maxTextLength: 10000
+    },
+    liveAuth: {
+      windowKeys: 40,     // Default sliding window (keystrokes)
+      minOccurrences: 3,  // Reference features need this many occurrences in the profile
+      minFeatures: 5,     // Shared features required before a window is scored
+      historyLength: 300, // Scores kept for the chart
+      maxAlerts: 20
+    },
+    storage: {
+      dbName: 'keypress_pattern_analyzer',
+      dbVersion: 1,
+      store: 'profiles',
+      legacyKey: 'keystroke_profiles',  // Pre-IndexedDB localStorage array
+      pageSize: 20
+    },
+    vault: {
+      storageKey: 'profile_vault',  // Salt, iteration count and passphrase check
+      iterations: 310000,           // PBKDF2-SHA256 rounds
+      minPassphraseLength: 8,
+      idleMinutes: 10,              // Lock after this long without input
+      encryptedFormat: 'keypress-pattern-analyzer/encrypted'
+    },
+    analysis: {
+      ngram: {
+        sizes: [2, 3, 4],   // n-gram lengths extracted from the event stream
+        featureMaxN: 3      // Longest n-gram used as a comparison feature
+      },
+      pauseThreshold: 2000, // ms; longer DD intervals split the session into typing bursts
+      trimFraction: 0.1,    // Share cut from each end for trimmed means
+      outlierIqrFactor: 1.5 // Tukey fences: outside Q1 − k·IQR .. Q3 + k·IQR
+    },
     colors: {
       // These will be overridden by CSS custom properties
       primary: '#007acc',
@@ -221,11 +527,19 @@
       }
     });
     
-    loadProfiles();
+    loadVaultConfig();
+    loadProfiles().then(() => {
+      updateUI();
+      if (isVaultLocked()) unlockVault();
+    });
+    loadTemplate();
     loadTheme();
+    loadKeyboardLayout();
     bindEvents();
+    setInterval(checkVaultIdle, 15000);
     initTooltips();
     updateUI();
+    updateEnrollmentUI();
     els.phrase.value = DEFAULT_PHRASE;
     clearVisualizations(); // Show initial keyboard layout
   }
@@ -394,6 +708,8 @@
   }
 
   function toggleTheme() {
+    stopReplay();
+    
     const isLight = document.documentElement.classList.contains('light-mode');
     const themeIcon = document.getElementById('themeIcon');
     
@@ -413,6 +729,16 @@
     if (state.metrics.totalKeys) {
       renderVisualizations();
     }
+    if (state.evaluation) {
+      renderEvaluationCharts();
+    }
+    renderHistory();
+    if (state.sideBySide) {
+      renderSideBySide();
+    }
+    if (state.comparison) {
+      renderComparisonPair();
+    }
   }
 
   function getThemeColors() {
@@ -434,13 +760,72 @@
     els.btnClear.addEventListener('click', clearAll);
     els.btnSave.addEventListener('click', saveProfile);
     els.btnExport.addEventListener('click', exportJSON);
+    els.btnExportCsv.addEventListener('click', exportCSV);
     els.btnImport.addEventListener('click', importJSON);
+    els.btnImportCmu.addEventListener('click', importCmuCsv);
     els.btnCompare.addEventListener('click', compareProfiles);
     
     els.editor.addEventListener('keydown', handleKeyDown);
     els.editor.addEventListener('keyup', handleKeyUp);
     
     els.mode.addEventListener('change', updateMode);
+    els.ngram.size.addEventListener('change', renderNgramTable);
+    els.keyboardLayout.addEventListener('change', changeKeyboardLayout);
+    els.heatmapMetric.addEventListener('change', () => {
+      renderHeatmap(state.replay.playing ? state.replay.pressed : undefined);
+      if (state.sideBySide) renderSideBySide();
+    });
+    els.ngram.sort.addEventListener('change', renderNgramTable);
+    els.pauseThreshold.addEventListener('change', updatePauseThreshold);
+    els.replay.btnPlay.addEventListener('click', startReplay);
+    els.replay.btnStop.addEventListener('click', stopReplay);
+    els.replay.speed.addEventListener('change', updateReplaySpeed);
+    els.auth.btnReset.addEventListener('click', resetEnrollment);
+    els.auth.enrollCount.addEventListener('change', updateEnrollmentUI);
+    els.dtw.btnAlign.addEventListener('click', runDtwComparison);
+    els.dtw.btnClear.addEventListener('click', clearDtwOverlay);
+    els.evaluation.btnEvaluate.addEventListener('click', runEvaluation);
+    els.synthetic.btnGenerate.addEventListener('click', generateSyntheticSession);
+    els.synthetic.btnPopulation.addEventListener('click', generateSyntheticPopulation);
+    els.liveAuth.profile.addEventListener('change', resetLiveAuth);
+    els.liveAuth.window.addEventListener('change', updateLiveAuth);
+    els.liveAuth.threshold.addEventListener('change', () => renderLiveAuth());
+    els.sideBySide.btnShow.addEventListener('click', renderSideBySide);
+    els.comparison.pairA.addEventListener('change', renderComparisonPair);
+    els.comparison.pairB.addEventListener('change', renderComparisonPair);
+    els.comparison.btnClose.addEventListener('click', closeComparison);
+    els.importDialog.btnConfirm.addEventListener('click', confirmImport);
+    els.importDialog.btnCancel.addEventListener('click', cancelImport);
+    els.importDialog.dialog.addEventListener('close', () => {
+      state.pendingImport = null;
+    });
+    els.vault.btnLock.addEventListener('click', () => (state.vault.key ? lockVault() : unlockVault()));
+    els.vault.btnSetup.addEventListener('click', () => (state.vault.config ? disableVault() : enableVault()));
+    els.vault.form.addEventListener('submit', submitPassphrase);
+    els.vault.btnCancel.addEventListener('click', () => finishPassphrase(null));
+    els.vault.dialog.addEventListener('cancel', e => {
+      e.preventDefault();
+      finishPassphrase(null);
+    });
+    ['keydown', 'pointerdown', 'wheel'].forEach(type => {
+      document.addEventListener(type, touchVault, { passive: true });
+    });
+    els.profileList.btnPrev.addEventListener('click', () => changeProfilePage(-1));
+    els.profileList.btnNext.addEventListener('click', () => changeProfilePage(1));
+    els.profileList.filter.addEventListener('input', () => {
+      state.profilePage = 0;
+      renderProfileList();
+    });
+    els.profileList.tbody.addEventListener('click', handleProfileListClick);
+    els.profileList.tbody.addEventListener('change', handleProfileListChange);
+    els.profileList.selectPage.addEventListener('change', toggleProfilePageSelection);
+    els.profileList.btnSubject.addEventListener('click', setSelectedProfilesSubject);
+    els.profileList.btnTags.addEventListener('click', setSelectedProfilesTags);
+    els.profileList.btnDelete.addEventListener('click', deleteSelectedProfiles);
+    els.history.subject.addEventListener('change', renderHistory);
+    els.history.series.addEventListener('change', renderHistory);
+    els.history.window.addEventListener('change', renderHistory);
+    els.history.digraph.addEventListener('change', renderHistory);
     
     // Theme toggle
     document.getElementById('themeToggle').addEventListener('click', toggleTheme);
@@ -453,6 +838,15 @@
     fileInput.addEventListener('change', handleFileImport);
     document.body.appendChild(fileInput);
     els.fileInput = fileInput;
+    
+    // Handle CMU benchmark import
+    const cmuFileInput = document.createElement('input');
+    cmuFileInput.type = 'file';
+    cmuFileInput.accept = '.csv,.txt';
+    cmuFileInput.style.display = 'none';
+    cmuFileInput.addEventListener('change', handleCmuImport);
+    document.body.appendChild(cmuFileInput);
+    els.cmuFileInput = cmuFileInput;
   }
 
   function updateMode() {
@@ -465,21 +859,34 @@
     } else if (mode === 'free') {
       els.phrase.value = '';
       els.phrase.disabled = true;
+    } else if (mode === 'enroll') {
+      // Keep the current phrase (Fixed or Custom) as the enrollment phrase
+      if (!els.phrase.value) els.phrase.value = DEFAULT_PHRASE;
+      els.phrase.disabled = false;
     }
+    
+    els.auth.section.style.display = mode === 'enroll' ? 'block' : 'none';
+    els.liveAuth.section.style.display = mode === 'free' ? 'block' : 'none';
+    if (mode === 'free') resetLiveAuth();
+    updateEnrollmentUI();
   }
 
   function startCapture() {
-    if (state.running) return;
+    if (state.running || state.replay.playing) return;
     
     state.running = true;
     state.startedAt = performance.now();
+    setViewedProfile(null);
     state.events = [];
     state.keyStates.clear();
     state.digraphs.clear();
+    state.ngrams.clear();
+    state.dtw = null;
     
     els.editor.value = '';
     els.editor.focus();
     
+    resetLiveAuth();
     updateUI();
   }
 
@@ -492,6 +899,7 @@
     console.log('Debug: Events:', state.events.slice(0, 5)); // Log first 5 events
     
     calculateMetrics();
+    updateNgrams();
     console.log('Debug: Metrics calculated:', state.metrics);
     
     updateUI();
@@ -504,10 +912,10 @@
     }
     
     try {
-      renderDigraphTable();
-      console.log('Debug: Digraph table rendered');
+      renderNgramTable();
+      console.log('Debug: n-gram table rendered');
     } catch (error) {
-      console.error('Error rendering digraph table:', error);
+      console.error('Error rendering n-gram table:', error);
     }
     
     try {
@@ -516,14 +924,21 @@
     } catch (error) {
       console.error('Error performing analysis:', error);
     }
+    
+    if (els.mode.value === 'enroll') {
+      handleEnrollmentAttempt();
+    }
   }
 
   function clearAll() {
     state.running = false;
+    setViewedProfile(null);
     state.events = [];
     state.metrics = {};
     state.keyStates.clear();
     state.digraphs.clear();
+    state.ngrams.clear();
+    state.dtw = null;
     els.editor.value = '';
     
     updateUI();
@@ -531,6 +946,15 @@
     hideAnalysis();
   }
 
+  // Pause segmentation and outlier flags depend on the threshold, so recompute what shows them
+  function updatePauseThreshold() {
+    if (state.running || state.events.length === 0) return;
+    calculateMetrics();
+    updateUI();
+    if (!state.dtw) renderRhythm();
+    performAnalysis();
+  }
+
   function performAnalysis() {
     if (!state.metrics.totalKeys) return;
     
@@ -539,7 +963,7 @@
     showAnalysis();
   }
 
-  function generateDetailedSummary(wpm, benchmarks, metrics, stability, uniqueness, digraphAnalysis, styleDetails) {
+  function generateDetailedSummary(wpm, benchmarks, metrics, stability, uniqueness, digraphAnalysis, styleDetails, accuracy, rollover, modifiers, corrections) {
     let summary = '';
     
     // タイピング速度分析
@@ -556,6 +980,56 @@
     }
     summary += '\n';
     
+    // 正確性分析
+    if (accuracy) {
+      summary += `✏️ **正確性分析**\n`;
+      summary += `正確性: ${accuracy.accuracy.toFixed(1)}%（Net ${accuracy.netWpm}WPM）\n`;
+      summary += `未修正エラー: ${accuracy.uncorrected}件（置換${accuracy.substitutions}・挿入${accuracy.insertions}・脱字${accuracy.omissions}）\n`;
+      summary += `修正済みエラー: ${accuracy.corrected}件（Backspace ${accuracy.backspaces}回）\n`;
+      if (accuracy.uncorrected === 0 && accuracy.corrected === 0) {
+        summary += `→ ミスなく入力できています\n`;
+      } else if (accuracy.uncorrected === 0) {
+        summary += `→ ミスはすべて修正済み。修正にかかった時間がNet WPMとの差になります\n`;
+      } else {
+        summary += `→ 未修正のミスが${accuracy.uncorrected}件残っています\n`;
+      }
+      if (accuracy.hotspots.length > 0) {
+        const hotspots = accuracy.hotspots.slice(0, 5)
+          .map(h => `${formatNgram([h.char])}（${h.errors}/${h.occurrences}）`);
+        summary += `ミスしやすい文字: ${hotspots.join(', ')}\n`;
+      }
+      summary += '\n';
+    }
+    
+    // 修正行動分析
+    if (corrections && (corrections.bursts > 0 || corrections.forwardDeletes > 0 || corrections.navigation > 0)) {
+      summary += `⌫ **修正行動分析**\n`;
+      summary += `削除キー: Backspace ${corrections.backspaces}回・単語削除${corrections.wordDeletes}回・行削除${corrections.lineDeletes}回・Delete ${corrections.forwardDeletes}回（全打鍵の${corrections.deletionRate.toFixed(1)}%）\n`;
+      if (corrections.bursts > 0) {
+        summary += `連続削除: ${corrections.bursts}回（平均${corrections.avgBurst.toFixed(1)}打、最大${corrections.maxBurst}打、1打のみ${corrections.singleBursts}回）\n`;
+      }
+      if (corrections.avgNotice !== null) {
+        summary += `ミスに気づくまで: 平均${corrections.avgNotice.toFixed(0)}ms（誤入力から最初のBackspaceまで）\n`;
+        if (corrections.avgNotice < 500) {
+          summary += `→ 打った直後にミスを検知できています\n`;
+        } else if (corrections.avgNotice > 1500) {
+          summary += `→ 気づくまでに時間がかかり、削除と再入力が増えがちです\n`;
+        }
+      }
+      if (corrections.overDeleted !== null && corrections.overDeleted > 0) {
+        summary += `消しすぎ: 正しい文字を${corrections.overDeleted}文字余分に削除\n`;
+      }
+      if (corrections.heldDeletes > 0) {
+        summary += `Backspace長押し: ${corrections.heldDeletes}回（キーリピート分は回数に含まれません）\n`;
+      }
+      if (corrections.navigation > 0) {
+        const nav = Object.entries(corrections.navigationKeys).map(([key, count]) => `${key}×${count}`);
+        summary += `カーソル移動: ${nav.join(', ')}\n`;
+        summary += `→ 途中を編集した場合、削除の集計は末尾入力を仮定した近似値です\n`;
+      }
+      summary += '\n';
+    }
+    
     // タイミング特性分析
     summary += `⏱️ **タイミング特性分析**\n`;
     summary += `Dwell Time（キー押下時間）: ${metrics.avgDwell.toFixed(0)}ms\n`;
@@ -575,8 +1049,39 @@
     } else {
       summary += `→ 平均的な${benchmarks.flightTime.average}ms前後で標準的\n`;
     }
+    if (rollover && rollover.pairs > 0) {
+      summary += `ロールオーバー率: ${(rollover.rate * 100).toFixed(0)}%（${rollover.count}/${rollover.pairs}組、平均重なり${rollover.avgOverlap.toFixed(0)}ms、最大${rollover.maxDepth}キー同時押し）\n`;
+      if (rollover.count > 0) {
+        summary += `→ 重なった打鍵は負のFlight Timeとして平均Flight Timeに含まれます\n`;
+        const overlapped = rollover.digraphs.slice(0, 5)
+          .map(d => `${formatNgram(d.keys)}（×${d.count}, ${d.avgOverlap.toFixed(0)}ms）`);
+        summary += `重なりの多い組み合わせ: ${overlapped.join(', ')}\n`;
+      }
+    }
     summary += '\n';
     
+    // 修飾キー分析
+    if (modifiers && (modifiers.shiftChords > 0 || modifiers.capsLockPresses > 0 || Object.keys(modifiers.otherChords).length > 0)) {
+      summary += `⇧ **修飾キー・Shift分析**\n`;
+      if (modifiers.shiftChords > 0) {
+        summary += `Shift使用: ${modifiers.shiftChords}回・${modifiers.shiftedKeys}文字（左${modifiers.left}・右${modifiers.right}）\n`;
+        if (modifiers.oppositeHandRate !== null) {
+          summary += `→ 文字と反対側の手のShift: ${(modifiers.oppositeHandRate * 100).toFixed(0)}%\n`;
+        }
+        if (modifiers.avgLead !== null) summary += `Shift先行時間（Shift押下→文字押下）: ${modifiers.avgLead.toFixed(0)}ms\n`;
+        if (modifiers.avgLag !== null) summary += `Shift解放遅れ（文字解放→Shift解放）: ${modifiers.avgLag.toFixed(0)}ms\n`;
+        const sides = modifiers.byKey.slice(0, 8)
+          .map(k => `${formatNgram([k.key])}（${k.left > 0 ? '左' + k.left : ''}${k.right > 0 ? '右' + k.right : ''}）`);
+        summary += `文字ごとのShift: ${sides.join(', ')}\n`;
+      }
+      if (modifiers.capsLockPresses > 0 || modifiers.capsLockLetters > 0) {
+        summary += `CapsLock: ${modifiers.capsLockPresses}回押下、Shiftなしの大文字${modifiers.capsLockLetters}文字\n`;
+      }
+      const others = Object.entries(modifiers.otherChords).map(([key, count]) => `${key}×${count}`);
+      if (others.length > 0) summary += `その他の修飾キー: ${others.join(', ')}\n`;
+      summary += '\n';
+    }
+    
     // 安定性・一貫性分析
     summary += `📊 **安定性・一貫性分析**\n`;
     summary += `安定性スコア: ${stability.toFixed(0)}%\n`;
@@ -587,6 +1092,12 @@
     } else {
       summary += `→ 不安定（平均${benchmarks.stability.stable}%を下回り、リズム改善の余地あり）\n`;
     }
+    if (Number.isFinite(metrics.medianDD)) {
+      summary += `DD間隔: 中央値${metrics.medianDD.toFixed(0)}ms（IQR ${metrics.iqrDD.toFixed(0)}ms、p10–p90 ${metrics.p10DD.toFixed(0)}–${metrics.p90DD.toFixed(0)}ms）\n`;
+      summary += `→ 平均${metrics.avgDD.toFixed(0)}ms / ${(CONFIG.analysis.trimFraction * 100).toFixed(0)}%トリム平均${metrics.trimmedDD.toFixed(0)}ms（差が大きいほど長い停止に引っ張られています）\n`;
+      const pauseRule = Number.isFinite(metrics.pauseThreshold) ? `（${metrics.pauseThreshold}ms以上）` : '';
+      summary += `ポーズ${pauseRule}: ${metrics.pauseCount}回 → ${metrics.burstCount}区間に分割、外れ値${metrics.outlierDD}件\n`;
+    }
     summary += `特徴: ${styleDetails.join('、')}\n\n`;
     
     // Digraphパターン分析
@@ -603,6 +1114,13 @@
       if (digraphAnalysis.consistent.length > 0) {
         summary += `安定パターン: ${digraphAnalysis.consistent.slice(0, 3).join(', ')}\n`;
       }
+      if (digraphAnalysis.trigraphs.fast.length > 0) {
+        summary += `高速Trigraph: ${digraphAnalysis.trigraphs.fast.slice(0, 5).join(', ')}\n`;
+      }
+      if (digraphAnalysis.trigraphs.slow.length > 0) {
+        summary += `低速Trigraph: ${digraphAnalysis.trigraphs.slow.slice(0, 5).join(', ')}\n`;
+        summary += `→ 3打鍵の連続で詰まりやすい箇所です\n`;
+      }
       summary += '\n';
     }
     
@@ -737,13 +1255,15 @@
     // Calculate WPM (already in metrics)
     const wpm = metrics.wpm;
     
-    // Calculate typing efficiency (actual characters vs expected)
-    const actualChars = text.length;
-    const expectedChars = els.phrase.value.length || actualChars;
-    const efficiency = expectedChars > 0 ? Math.round((actualChars / expectedChars) * 100) : 100;
+    // Accuracy against the target phrase (edit-distance alignment + keystroke stream)
+    const phrase = state.viewedProfile ? state.viewedProfile.phrase || '' : els.phrase.value;
+    const accuracy = analyzeAccuracy(events, text, phrase, metrics);
+    const rollover = analyzeRollover(events);
+    const modifiers = analyzeModifiers(events);
+    const corrections = analyzeCorrections(events, phrase);
     
-    // Calculate stability (coefficient of variation for intervals)
-    const cv = metrics.stdDD > 0 ? (metrics.stdDD / metrics.avgDD) * 100 : 0;
+    // Calculate stability (robust coefficient of variation for intervals)
+    const cv = ddVariation(metrics);
     const stability = Math.max(0, 100 - cv);
     
     // Calculate rhythm consistency (based on flight time variance)
@@ -775,6 +1295,17 @@
       }
     }
     
+    // Trigraph分析（3打鍵の連続パターン）
+    digraphAnalysis.trigraphs = { fast: [], slow: [] };
+    const trigraphs = state.ngrams.get(3) || new Map();
+    for (const data of trigraphs.values()) {
+      if (data.DD.length >= 2) {
+        const avgTime = average(data.DD);
+        if (avgTime < 300) digraphAnalysis.trigraphs.fast.push(formatNgram(data.keys));
+        if (avgTime > 700) digraphAnalysis.trigraphs.slow.push(formatNgram(data.keys));
+      }
+    }
+    
     // より詳細なタイピングスタイル分析
     let typingStyle = '';
     let styleDetails = [];
@@ -798,6 +1329,40 @@
       styleDetails.push('慎重に次のキーを選択');
     }
     
+    // ロールオーバー分析（前のキーを離す前に次のキーを押す打鍵は熟練者に多い）
+    if (rollover.pairs >= 10 && rollover.rate >= 0.3) {
+      styleDetails.push('ロールオーバー打鍵が多い（熟練者の特徴）');
+    } else if (rollover.pairs >= 10 && rollover.rate < 0.05) {
+      styleDetails.push('1キーずつ離してから次を押す');
+    }
+    
+    // Shift・CapsLock分析
+    if (modifiers.oppositeHandRate !== null && modifiers.shiftedKeys >= 3) {
+      if (modifiers.oppositeHandRate >= 0.8) {
+        styleDetails.push('反対側の手でShiftを押す');
+      } else if (modifiers.oppositeHandRate <= 0.2) {
+        styleDetails.push('同じ側の手でShiftを押す');
+      }
+    }
+    if (modifiers.capsLockLetters > 0) {
+      styleDetails.push('CapsLockで大文字を入力');
+    }
+    
+    // 修正行動分析
+    if (corrections.avgNotice !== null && corrections.bursts >= 2) {
+      if (corrections.avgNotice < 500) {
+        styleDetails.push('ミスにすぐ気づいて修正');
+      } else if (corrections.avgNotice > 1500) {
+        styleDetails.push('しばらく打ち進めてからまとめて修正');
+      }
+    }
+    if (corrections.wordDeletes + corrections.lineDeletes > 0) {
+      styleDetails.push('単語・行単位で削除');
+    }
+    if (corrections.navigation > 0) {
+      styleDetails.push('矢印キーで戻って修正');
+    }
+    
     // 安定性分析
     if (cv > 30) {
       typingStyle += ' (不安定)';
@@ -813,15 +1378,19 @@
     const uniqueness = Math.round((uniqueDigraphs / totalDigraphs) * 100);
     
     // 平均との比較分析を含むより詳細なサマリー生成
-    let summaryText = generateDetailedSummary(wpm, benchmarks, metrics, stability, uniqueness, digraphAnalysis, styleDetails);
+    let summaryText = generateDetailedSummary(wpm, benchmarks, metrics, stability, uniqueness, digraphAnalysis, styleDetails, accuracy, rollover, modifiers, corrections);
     
     return {
       wpm: wpm,
-      efficiency: efficiency,
+      accuracy: accuracy,
       stability: stability.toFixed(1),
       avgDwell: metrics.avgDwell.toFixed(1),
       avgFlight: metrics.avgFlight.toFixed(1),
       rhythmConsistency: rhythmConsistency.toFixed(1),
+      rollover: rollover,
+      modifiers: modifiers,
+      corrections: corrections,
+      metrics: metrics,
       topDigraph: topDigraph + (maxCount > 1 ? ` (×${maxCount})` : ''),
       typingStyle: typingStyle,
       uniqueness: uniqueness,
@@ -829,6 +1398,429 @@
     };
   }
 
+  // ====== Rollover Analysis ======
+
+  /**
+   * Consecutive non-modifier keystrokes where the next key went down before the
+   * previous one came up. Modifiers are skipped since holding Shift is not rollover.
+   */
+  function findRollovers(strokes) {
+    const rollovers = [];
+    let prev = null;
+    strokes.forEach(stroke => {
+      if (MODIFIER_KEYS.has(stroke.key)) return;
+      if (prev && prev.up !== null && stroke.down < prev.up) {
+        rollovers.push({ prev, next: stroke, overlap: prev.up - stroke.down });
+      }
+      prev = stroke;
+    });
+    return rollovers;
+  }
+
+  /**
+   * Rollover statistics: share of digraphs typed with overlap, overlap duration
+   * per digraph, and the deepest n-key rollover (most non-modifier keys held at once).
+   */
+  function analyzeRollover(events) {
+    const strokes = buildKeystrokes(events).filter(stroke => !MODIFIER_KEYS.has(stroke.key));
+    const rollovers = findRollovers(strokes);
+    const pairs = Math.max(0, strokes.length - 1);
+    
+    // Sweep the down/up edges; ups sort first so touching strokes do not count as held together
+    const edges = [];
+    strokes.forEach(stroke => {
+      if (stroke.up === null) return;
+      edges.push({ t: stroke.down, delta: 1 }, { t: stroke.up, delta: -1 });
+    });
+    edges.sort((a, b) => a.t - b.t || a.delta - b.delta);
+    let depth = 0;
+    let maxDepth = 0;
+    edges.forEach(edge => {
+      depth += edge.delta;
+      maxDepth = Math.max(maxDepth, depth);
+    });
+    
+    const digraphs = new Map();
+    rollovers.forEach(({ prev, next, overlap }) => {
+      const gram = prev.key + next.key;
+      if (!digraphs.has(gram)) digraphs.set(gram, { keys: [prev.key, next.key], overlaps: [] });
+      digraphs.get(gram).overlaps.push(overlap);
+    });
+    
+    return {
+      pairs,
+      count: rollovers.length,
+      rate: pairs > 0 ? rollovers.length / pairs : 0,
+      avgOverlap: rollovers.length > 0 ? average(rollovers.map(r => r.overlap)) : 0,
+      maxDepth,
+      digraphs: Array.from(digraphs.values())
+        .map(d => ({ keys: d.keys, count: d.overlaps.length, avgOverlap: average(d.overlaps) }))
+        .sort((a, b) => b.count - a.count || b.avgOverlap - a.avgOverlap)
+    };
+  }
+
+  // Lowest free lane for each keystroke, so keys held at the same time stack instead of overlapping
+  function assignTimelineLanes(strokes) {
+    const laneEnds = [];
+    return strokes.map(stroke => {
+      let lane = laneEnds.findIndex(end => end <= stroke.down);
+      if (lane === -1) lane = laneEnds.length;
+      laneEnds[lane] = stroke.up;
+      return lane;
+    });
+  }
+
+  // ====== Modifier & Shift Analysis ======
+
+  function getShiftSide(code) {
+    if (code === 'ShiftLeft') return 'left';
+    if (code === 'ShiftRight') return 'right';
+    return null;
+  }
+
+  /**
+   * Modifier chords: each Shift hold with the keys typed under it, how long the
+   * Shift press leads the first key and how long its release lags the last one.
+   * Also counts CapsLock use and Control/Alt/Meta shortcuts.
+   */
+  function analyzeModifiers(events) {
+    const strokes = buildKeystrokes(events);
+    const modifiers = [];
+    const chords = new Map();
+    const byKey = new Map();
+    const otherChords = {};
+    let handed = 0;
+    let oppositeHand = 0;
+    let capsLockPresses = 0;
+    let capsLockLetters = 0;
+    
+    strokes.forEach(stroke => {
+      if (MODIFIER_KEYS.has(stroke.key)) {
+        modifiers.push(stroke);
+        if (stroke.key === 'CapsLock') capsLockPresses++;
+        return;
+      }
+      
+      const held = modifiers.filter(mod => mod.down <= stroke.down && (mod.up === null || mod.up > stroke.down));
+      const shifts = held.filter(mod => mod.key === 'Shift');
+      held.forEach(mod => {
+        if (mod.key !== 'Shift' && mod.key !== 'CapsLock') otherChords[mod.key] = (otherChords[mod.key] || 0) + 1;
+      });
+      
+      if (shifts.length === 0) {
+        if (Array.from(stroke.key).length === 1 && stroke.key !== stroke.key.toLowerCase()) capsLockLetters++;
+        return;
+      }
+      
+      // With both Shifts down the most recent one is the one doing the work
+      const shift = shifts[shifts.length - 1];
+      if (!chords.has(shift)) chords.set(shift, { side: getShiftSide(shift.code), keys: [] });
+      const chord = chords.get(shift);
+      chord.keys.push(stroke);
+      
+      if (!byKey.has(stroke.key)) byKey.set(stroke.key, { key: stroke.key, left: 0, right: 0 });
+      if (chord.side) byKey.get(stroke.key)[chord.side]++;
+      if (chord.side && /^(Key|Digit)/.test(stroke.code)) {
+        handed++;
+        if (LEFT_HAND_CODES.has(stroke.code) !== (chord.side === 'left')) oppositeHand++;
+      }
+    });
+    
+    const leads = [];
+    const lags = [];
+    chords.forEach((chord, shift) => {
+      const first = chord.keys[0];
+      const last = chord.keys[chord.keys.length - 1];
+      leads.push(first.down - shift.down);
+      if (shift.up !== null && last.up !== null) lags.push(shift.up - last.up);
+    });
+    const sides = Array.from(chords.values()).map(chord => chord.side);
+    
+    return {
+      shiftChords: chords.size,
+      shiftedKeys: Array.from(chords.values()).reduce((sum, chord) => sum + chord.keys.length, 0),
+      left: sides.filter(side => side === 'left').length,
+      right: sides.filter(side => side === 'right').length,
+      oppositeHandRate: handed > 0 ? oppositeHand / handed : null,
+      avgLead: leads.length > 0 ? average(leads) : null,
+      avgLag: lags.length > 0 ? average(lags) : null,
+      byKey: Array.from(byKey.values()).sort((a, b) => (b.left + b.right) - (a.left + a.right)),
+      capsLockPresses,
+      capsLockLetters,
+      otherChords
+    };
+  }
+
+  // One-line Shift summary for stats rows; '—' when no Shift chord was typed
+  function formatShiftSummary(modifiers) {
+    if (modifiers.shiftChords === 0) return '—';
+    const parts = [`左${modifiers.left}/右${modifiers.right}`];
+    if (modifiers.avgLead !== null) parts.push(`先行${modifiers.avgLead.toFixed(0)}ms`);
+    if (modifiers.avgLag !== null) parts.push(`解放遅れ${modifiers.avgLag.toFixed(0)}ms`);
+    return parts.join('・');
+  }
+
+  // ====== Accuracy Analysis ======
+
+  // Alignment beyond this many characters is truncated; keeps the traceback matrix ~16MB
+  const ALIGNMENT_MAX_LENGTH = 2000;
+
+  /**
+   * Levenshtein alignment of typed text onto the target phrase.
+   * Returns the edit counts and per-operation trace (target index for each op).
+   */
+  function alignToTarget(typed, target) {
+    const a = Array.from(typed.slice(0, ALIGNMENT_MAX_LENGTH));
+    const b = Array.from(target.slice(0, ALIGNMENT_MAX_LENGTH));
+    const n = a.length;
+    const m = b.length;
+    const cols = m + 1;
+    const dist = new Int32Array((n + 1) * cols);
+    
+    for (let i = 0; i <= n; i++) dist[i * cols] = i;
+    for (let j = 0; j <= m; j++) dist[j] = j;
+    for (let i = 1; i <= n; i++) {
+      for (let j = 1; j <= m; j++) {
+        const subCost = a[i - 1] === b[j - 1] ? 0 : 1;
+        dist[i * cols + j] = Math.min(
+          dist[(i - 1) * cols + j - 1] + subCost,  // match / substitution
+          dist[(i - 1) * cols + j] + 1,            // insertion (extra typed char)
+          dist[i * cols + j - 1] + 1               // omission (missing target char)
+        );
+      }
+    }
+    
+    // Trace back, preferring diagonal moves so substitutions are not split into ins+del
+    const ops = [];
+    let i = n;
+    let j = m;
+    while (i > 0 || j > 0) {
+      const current = dist[i * cols + j];
+      if (i > 0 && j > 0 && current === dist[(i - 1) * cols + j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)) {
+        ops.push({ op: a[i - 1] === b[j - 1] ? 'match' : 'substitution', typed: a[i - 1], target: b[j - 1], index: j - 1 });
+        i--;
+        j--;
+      } else if (i > 0 && current === dist[(i - 1) * cols + j] + 1) {
+        ops.push({ op: 'insertion', typed: a[i - 1], target: null, index: j });
+        i--;
+      } else {
+        ops.push({ op: 'omission', typed: null, target: b[j - 1], index: j - 1 });
+        j--;
+      }
+    }
+    ops.reverse();
+    
+    const count = op => ops.filter(o => o.op === op).length;
+    return {
+      distance: dist[n * cols + m],
+      substitutions: count('substitution'),
+      insertions: count('insertion'),
+      omissions: count('omission'),
+      ops
+    };
+  }
+
+  /**
+   * Replays the keystroke stream into a buffer (caret assumed at the end) and
+   * counts characters that were wrong for their position when Backspace removed them.
+   */
+  function countCorrectedErrors(events, target) {
+    const buffer = [];
+    const heldModifiers = new Set();
+    const corrections = [];
+    let backspaces = 0;
+    
+    events.forEach(event => {
+      if (['Control', 'Meta', 'Alt'].includes(event.key)) {
+        if (event.type === 'down') heldModifiers.add(event.code);
+        else heldModifiers.delete(event.code);
+        return;
+      }
+      if (event.type !== 'down' || heldModifiers.size > 0) return;
+      
+      if (event.key === 'Backspace') {
+        backspaces++;
+        if (buffer.length === 0) return;
+        const removed = buffer.pop();
+        const index = buffer.length;
+        if (removed !== target[index]) {
+          corrections.push({ typed: removed, target: target[index] !== undefined ? target[index] : null, index });
+        }
+      } else if (event.key.length === 1) {
+        buffer.push(event.key);
+      }
+    });
+    
+    return { corrected: corrections.length, backspaces, corrections };
+  }
+
+  /**
+   * Accuracy of a session against the target phrase, following Soukoreff & MacKenzie:
+   * C = correct chars, INF = uncorrected errors (edit distance), IF = corrected errors.
+   * Returns null when there is no target phrase to compare with.
+   */
+  function analyzeAccuracy(events, text, target, metrics) {
+    if (!target) return null;
+    
+    const alignment = alignToTarget(text, target);
+    const stream = countCorrectedErrors(events, target);
+    const uncorrected = alignment.distance;
+    const corrected = stream.corrected;
+    const correct = Math.max(text.length, target.length) - uncorrected;
+    const total = correct + uncorrected + corrected;
+    const totalErrorRate = total > 0 ? (uncorrected + corrected) / total : 0;
+    
+    // Net WPM subtracts uncorrected errors per minute from the gross rate
+    const minutes = metrics.duration / 60000;
+    const netWpm = minutes > 0 ? Math.max(0, Math.round(metrics.wpm - uncorrected / minutes)) : 0;
+    
+    // Per-character hotspots: how often each target character was mistyped
+    const hotspots = new Map();
+    const hotspot = ch => {
+      if (!hotspots.has(ch)) hotspots.set(ch, { char: ch, errors: 0, occurrences: 0 });
+      return hotspots.get(ch);
+    };
+    Array.from(target).forEach(ch => hotspot(ch).occurrences++);
+    alignment.ops.forEach(o => {
+      if (o.op === 'substitution' || o.op === 'omission') hotspot(o.target).errors++;
+    });
+    stream.corrections.forEach(c => {
+      if (c.target !== null) hotspot(c.target).errors++;
+    });
+    
+    return {
+      accuracy: (1 - totalErrorRate) * 100,
+      totalErrorRate: totalErrorRate * 100,
+      netWpm,
+      uncorrected,
+      corrected,
+      substitutions: alignment.substitutions,
+      insertions: alignment.insertions,
+      omissions: alignment.omissions,
+      backspaces: stream.backspaces,
+      hotspots: Array.from(hotspots.values())
+        .filter(h => h.errors > 0)
+        .sort((x, y) => y.errors / y.occurrences - x.errors / x.occurrences || y.errors - x.errors)
+    };
+  }
+
+  // ====== Correction Behaviour ======
+
+  const NAVIGATION_KEYS = new Set(['ArrowLeft', 'ArrowRight', 'ArrowUp', 'ArrowDown', 'Home', 'End', 'PageUp', 'PageDown']);
+
+  // Keydowns of auto-repeat are not recorded, so a Backspace held this long deleted more than one character
+  const HELD_DELETE_MS = 500;
+
+  /**
+   * Editing behaviour from the keystroke stream: Backspace bursts, how long an
+   * error stays before the first Backspace, over-deletion of correct characters,
+   * word/line deletes (Ctrl/Alt/Cmd+Backspace) and caret navigation.
+   * Like countCorrectedErrors() the replay assumes the caret stays at the end.
+   */
+  function analyzeCorrections(events, target) {
+    const strokes = buildKeystrokes(events);
+    const modifierStrokes = strokes.filter(stroke => MODIFIER_KEYS.has(stroke.key));
+    const buffer = [];
+    const bursts = [];
+    const navigationKeys = {};
+    let burst = null;
+    let backspaces = 0;
+    let wordDeletes = 0;
+    let lineDeletes = 0;
+    let heldDeletes = 0;
+    let forwardDeletes = 0;
+    let navigation = 0;
+    
+    // Index of the first character that differs from the target (buffer length when none does)
+    const firstError = () => {
+      const index = buffer.findIndex((entry, i) => entry.ch !== target[i]);
+      return index === -1 ? buffer.length : index;
+    };
+    
+    const closeBurst = () => {
+      if (burst) bursts.push(burst);
+      burst = null;
+    };
+    
+    strokes.forEach(stroke => {
+      if (MODIFIER_KEYS.has(stroke.key)) return;
+      const modifiers = ['Control', 'Alt', 'Meta'].filter(key => modifierStrokes.some(mod =>
+        mod.key === key && mod.down <= stroke.down && (mod.up === null || mod.up > stroke.down)));
+      
+      if (stroke.key === 'Backspace') {
+        if (!burst) {
+          burst = { start: stroke.down, presses: 0, overDeleted: 0, errorAt: null };
+        }
+        burst.presses++;
+        const before = buffer.length;
+        const errorIndex = target ? firstError() : null;
+        
+        let count = 1;
+        if (modifiers.includes('Meta')) {
+          lineDeletes++;
+          count = buffer.length;
+        } else if (modifiers.length > 0) {
+          // Word delete: trailing spaces, then the word before them
+          wordDeletes++;
+          let i = buffer.length;
+          while (i > 0 && buffer[i - 1].ch === ' ') i--;
+          while (i > 0 && buffer[i - 1].ch !== ' ') i--;
+          count = buffer.length - i;
+        } else {
+          backspaces++;
+          if (stroke.up !== null && stroke.up - stroke.down >= HELD_DELETE_MS) heldDeletes++;
+        }
+        
+        const removed = buffer.splice(Math.max(0, buffer.length - count));
+        if (errorIndex !== null) burst.overDeleted += Math.max(0, Math.min(errorIndex, before) - buffer.length);
+        
+        // The error being fixed: first wrong character removed, or with no target the earliest one removed
+        const wrong = target ?
+          removed.find((entry, i) => entry.ch !== target[buffer.length + i]) :
+          removed[0];
+        if (wrong && (burst.errorAt === null || wrong.t < burst.errorAt)) burst.errorAt = wrong.t;
+        return;
+      }
+      
+      if (stroke.key === 'Delete') {
+        forwardDeletes++;
+        return;
+      }
+      if (NAVIGATION_KEYS.has(stroke.key)) {
+        navigation++;
+        navigationKeys[stroke.key] = (navigationKeys[stroke.key] || 0) + 1;
+        closeBurst();
+        return;
+      }
+      
+      closeBurst();
+      if (modifiers.length === 0 && stroke.key.length === 1) buffer.push({ ch: stroke.key, t: stroke.down });
+    });
+    closeBurst();
+    
+    const notices = bursts.filter(b => b.errorAt !== null).map(b => b.start - b.errorAt);
+    const sizes = bursts.map(b => b.presses);
+    const deletions = backspaces + wordDeletes + lineDeletes + forwardDeletes;
+    const keys = strokes.filter(stroke => !MODIFIER_KEYS.has(stroke.key)).length;
+    
+    return {
+      backspaces,
+      wordDeletes,
+      lineDeletes,
+      heldDeletes,
+      forwardDeletes,
+      navigation,
+      navigationKeys,
+      deletionRate: keys > 0 ? deletions / keys * 100 : 0,
+      bursts: bursts.length,
+      avgBurst: sizes.length > 0 ? average(sizes) : 0,
+      maxBurst: sizes.length > 0 ? Math.max(...sizes) : 0,
+      singleBursts: sizes.filter(size => size === 1).length,
+      avgNotice: notices.length > 0 ? average(notices) : null,
+      overDeleted: target ? bursts.reduce((sum, b) => sum + b.overDeleted, 0) : null
+    };
+  }
+
   function formatAnalysisText(text) {
     // HTML escape function to prevent XSS
     function escapeHtml(unsafe) {
@@ -846,24 +1838,46 @@
       .replace(/\*\*(.*?)\*\*/g, '<strong>$1</strong>') // **bold** -> <strong>
       .replace(/\n/g, '<br>') // 改行を<br>に変換
       .replace(/→/g, '&nbsp;&nbsp;→') // 矢印の前にスペースを追加
-      .replace(/(🎯|⏱️|📊|🔤|🎭|🏆|🔒|⚡|⚠️|✓|○|△|🛡️|🎤|📋)/g, '<span style="font-size: 1.1em;">$1</span>'); // 絵文字を少し大きく
+      .replace(/(🎯|✏️|⏱️|📊|🔤|🎭|🏆|🔒|⚡|⚠️|✓|○|△|🛡️|🎤|📋|⇧|⌫)/g, '<span style="font-size: 1.1em;">$1</span>'); // 絵文字を少し大きく
   }
 
   function displayAnalysisResults(analysis) {
     // Performance metrics
     document.getElementById('wpmValue').textContent = analysis.wpm + ' WPM';
-    document.getElementById('efficiencyValue').textContent = analysis.efficiency + '%';
+    const accuracy = analysis.accuracy;
+    document.getElementById('accuracyValue').textContent = accuracy ? accuracy.accuracy.toFixed(1) + '%' : '—';
     document.getElementById('stabilityValue').textContent = analysis.stability + '%';
     
     // Timing characteristics
     document.getElementById('avgDwellValue').textContent = analysis.avgDwell + 'ms';
     document.getElementById('avgFlightValue').textContent = analysis.avgFlight + 'ms';
     document.getElementById('rhythmValue').textContent = analysis.rhythmConsistency + '%';
+    const rollover = analysis.rollover;
+    const metrics = analysis.metrics;
+    document.getElementById('medianDDValue').textContent = Number.isFinite(metrics.medianDD) ?
+      `${metrics.medianDD.toFixed(0)}ms（IQR ${metrics.iqrDD.toFixed(0)}）` : '—';
+    document.getElementById('pauseValue').textContent = Number.isFinite(metrics.pauseCount) ?
+      `${metrics.pauseCount}回（${metrics.burstCount}区間${Number.isFinite(metrics.pauseThreshold) ? `、${metrics.pauseThreshold}ms以上` : ''}）` : '—';
+    document.getElementById('rolloverValue').textContent = rollover.pairs > 0 ?
+      `${(rollover.rate * 100).toFixed(0)}%（最大${rollover.maxDepth}キー）` : '—';
     
     // Personal characteristics
     document.getElementById('topDigraphValue').textContent = analysis.topDigraph;
     document.getElementById('styleValue').textContent = analysis.typingStyle;
     document.getElementById('uniquenessValue').textContent = analysis.uniqueness + '%';
+    document.getElementById('shiftValue').textContent = formatShiftSummary(analysis.modifiers);
+    
+    // Accuracy against the target phrase
+    document.getElementById('netWpmValue').textContent = accuracy ? accuracy.netWpm + ' WPM' : '—';
+    document.getElementById('uncorrectedValue').textContent = accuracy ?
+      `${accuracy.uncorrected}（置換${accuracy.substitutions}/挿入${accuracy.insertions}/脱字${accuracy.omissions}）` : '—';
+    document.getElementById('correctedValue').textContent = accuracy ?
+      `${accuracy.corrected}（BS ${accuracy.backspaces}回）` : '—';
+    const corrections = analysis.corrections;
+    document.getElementById('correctionBurstValue').textContent = corrections.bursts > 0 ?
+      `${corrections.bursts}回（平均${corrections.avgBurst.toFixed(1)}打）` : '—';
+    document.getElementById('noticeValue').textContent = corrections.avgNotice !== null ?
+      corrections.avgNotice.toFixed(0) + 'ms' : '—';
     
     // Summary text with proper formatting
     const analysisElement = document.getElementById('analysisText');
@@ -871,7 +1885,11 @@
     
     // Add color coding
     updateValueColors('wpmValue', analysis.wpm, [20, 40]);
-    updateValueColors('efficiencyValue', analysis.efficiency, [80, 95]);
+    if (accuracy) {
+      updateValueColors('accuracyValue', accuracy.accuracy, [90, 98]);
+    } else {
+      document.getElementById('accuracyValue').classList.remove('highlight', 'good', 'warning');
+    }
     updateValueColors('stabilityValue', parseFloat(analysis.stability), [60, 80]);
     updateValueColors('rhythmValue', parseFloat(analysis.rhythmConsistency), [60, 80]);
     updateValueColors('uniquenessValue', analysis.uniqueness, [50, 70]);
@@ -924,18 +1942,6 @@
       state.events.push(event);
       state.keyStates.set(sanitizedCode, { downTime: t, key: sanitizedKey });
     }
-    
-    // Track digraph timing (DD - down to down)
-    if (state.events.length >= 2) {
-      const prevDown = findLastDownEvent(state.events.length - 2);
-      if (prevDown) {
-        const digraph = prevDown.key + e.key;
-        if (!state.digraphs.has(digraph)) {
-          state.digraphs.set(digraph, { DD: [], UD: [], DU: [], UU: [] });
-        }
-        state.digraphs.get(digraph).DD.push(t - prevDown.t);
-      }
-    }
   }
 
   function handleKeyUp(e) {
@@ -951,7 +1957,7 @@
     const event = {
       type: 'up',
       code: e.code,
-      key: e.key,
+      key: e.key ? e.key.slice(0, 10) : 'Unknown', // Same limit as keydown
       t: t,
       dwell: t - keyState.downTime // Dwell time
     };
@@ -959,40 +1965,69 @@
     state.events.push(event);
     state.keyStates.delete(e.code);
     
-    // Track digraph timing (UD - up to down)
-    const nextDownIdx = findNextDownEvent(state.events.length - 1);
-    if (nextDownIdx !== -1) {
-      const nextDown = state.events[nextDownIdx];
-      const digraph = e.key + nextDown.key;
-      if (!state.digraphs.has(digraph)) {
-        state.digraphs.set(digraph, { DD: [], UD: [], DU: [], UU: [] });
-      }
-      state.digraphs.get(digraph).UD.push(nextDown.t - t);
-    }
+    if (els.mode.value === 'free') updateLiveAuth();
   }
 
-  function findLastDownEvent(fromIndex) {
-    for (let i = fromIndex; i >= 0; i--) {
-      if (state.events[i].type === 'down') {
-        return state.events[i];
+  const MODIFIER_KEYS = new Set(['Shift', 'Control', 'Alt', 'AltGraph', 'Meta', 'CapsLock', 'Fn', 'OS']);
+
+  // Pairs each keydown with its keyup: [{key, code, down, up}] in press order
+  function buildKeystrokes(events) {
+    const keystrokes = [];
+    const open = new Map();
+    
+    events.forEach(e => {
+      if (e.type === 'down') {
+        const stroke = { key: e.key, code: e.code, down: e.t, up: null };
+        keystrokes.push(stroke);
+        open.set(e.code, stroke);
+      } else if (e.type === 'up' && open.has(e.code)) {
+        open.get(e.code).up = e.t;
+        open.delete(e.code);
       }
-    }
-    return null;
+    });
+    
+    return keystrokes;
   }
 
-  function findNextDownEvent(fromIndex) {
-    for (let i = fromIndex + 1; i < state.events.length; i++) {
-      if (state.events[i].type === 'down') {
-        return i;
+  /**
+   * Latencies of every run of n consecutive keystrokes, measured between the
+   * first and last key: DD (down→down), UD (up→down), DU (down→up), UU (up→up).
+   * Modifiers are left out so "Shift"+"h" counts as "H"; see analyzeModifiers().
+   */
+  function extractNgrams(events, n) {
+    const ngrams = new Map();
+    const strokes = buildKeystrokes(events).filter(stroke => !MODIFIER_KEYS.has(stroke.key));
+    
+    for (let i = 0; i + n <= strokes.length; i++) {
+      const run = strokes.slice(i, i + n);
+      const first = run[0];
+      const last = run[n - 1];
+      const gram = run.map(stroke => stroke.key).join('');
+      
+      if (!ngrams.has(gram)) {
+        ngrams.set(gram, { keys: run.map(stroke => stroke.key), DD: [], UD: [], DU: [], UU: [] });
       }
+      const entry = ngrams.get(gram);
+      entry.DD.push(last.down - first.down);
+      if (first.up !== null) entry.UD.push(last.down - first.up);
+      if (last.up !== null) entry.DU.push(last.up - first.down);
+      if (first.up !== null && last.up !== null) entry.UU.push(last.up - first.up);
     }
-    return -1;
+    
+    return ngrams;
+  }
+
+  function updateNgrams() {
+    state.ngrams = new Map(CONFIG.analysis.ngram.sizes.map(n => [n, extractNgrams(state.events, n)]));
+    state.digraphs = state.ngrams.get(2) || new Map();
   }
 
   function calculateMetrics() {
-    const events = state.events;
-    if (events.length === 0) return;
-    
+    if (state.events.length === 0) return;
+    state.metrics = computeMetrics(state.events, els.editor.value);
+  }
+
+  function computeMetrics(events, text) {
     const downEvents = events.filter(e => e.type === 'down');
     const upEvents = events.filter(e => e.type === 'up');
     
@@ -1018,7 +2053,12 @@
       ddTimes.push(downEvents[i + 1].t - downEvents[i].t);
     }
     
-    state.metrics = {
+    // Order statistics resist the long pauses that drag means and σ around.
+    // The pause counts are only meaningful with their threshold, so it is stored too.
+    const pauseThreshold = getPauseThreshold();
+    const bursts = segmentTypingBursts(events, pauseThreshold);
+    
+    return {
       totalKeys: downEvents.length,
       duration: events[events.length - 1].t,
       avgDwell: average(dwellTimes),
@@ -1027,7 +2067,18 @@
       stdFlight: standardDeviation(flightTimes),
       avgDD: average(ddTimes),
       stdDD: standardDeviation(ddTimes),
-      wpm: calculateWPM(els.editor.value, events[events.length - 1].t),
+      medianDwell: median(dwellTimes),
+      medianFlight: median(flightTimes),
+      medianDD: median(ddTimes),
+      iqrDD: interquartileRange(ddTimes),
+      trimmedDD: trimmedMean(ddTimes),
+      p10DD: percentile(ddTimes, 10),
+      p90DD: percentile(ddTimes, 90),
+      outlierDD: flagOutliers(ddTimes, pauseThreshold).filter(Boolean).length,
+      pauseCount: Math.max(0, bursts.length - 1),
+      burstCount: bursts.length,
+      pauseThreshold,
+      wpm: calculateWPM(text, events[events.length - 1].t),
       dwellTimes,
       flightTimes,
       ddTimes
@@ -1046,6 +2097,76 @@
     return Math.sqrt(average(squareDiffs));
   }
 
+  // Linear interpolation between closest ranks (p in 0-100)
+  function percentile(arr, p) {
+    if (arr.length === 0) return 0;
+    const sorted = arr.slice().sort((a, b) => a - b);
+    const rank = (sorted.length - 1) * p / 100;
+    const lower = Math.floor(rank);
+    const upper = Math.ceil(rank);
+    return sorted[lower] + (sorted[upper] - sorted[lower]) * (rank - lower);
+  }
+
+  function median(arr) {
+    return percentile(arr, 50);
+  }
+
+  function interquartileRange(arr) {
+    return percentile(arr, 75) - percentile(arr, 25);
+  }
+
+  // Mean after dropping the given share of values from each end
+  function trimmedMean(arr, fraction = CONFIG.analysis.trimFraction) {
+    if (arr.length === 0) return 0;
+    const sorted = arr.slice().sort((a, b) => a - b);
+    const cut = Math.floor(sorted.length * fraction);
+    return average(sorted.slice(cut, sorted.length - cut));
+  }
+
+  /**
+   * Outlier flag per value: outside the Tukey fences, or at least the pause
+   * threshold (a long pause is a pause even when most of the session is pauses).
+   */
+  function flagOutliers(arr, pauseThreshold = getPauseThreshold()) {
+    const q1 = percentile(arr, 25);
+    const q3 = percentile(arr, 75);
+    const k = CONFIG.analysis.outlierIqrFactor * (q3 - q1);
+    return arr.map(value => value < q1 - k || value > q3 + k || value >= pauseThreshold);
+  }
+
+  function getPauseThreshold() {
+    return getPositiveInt(els.pauseThreshold, CONFIG.analysis.pauseThreshold);
+  }
+
+  // Splits the session at DD intervals of at least the pause threshold: [{start, end, keys}]
+  function segmentTypingBursts(events, pauseThreshold = getPauseThreshold()) {
+    const bursts = [];
+    let current = null;
+    events.forEach(e => {
+      if (e.type !== 'down') return;
+      if (!current || e.t - current.end >= pauseThreshold) {
+        current = { start: e.t, end: e.t, keys: 0 };
+        bursts.push(current);
+      }
+      current.end = e.t;
+      current.keys++;
+    });
+    return bursts;
+  }
+
+  /**
+   * Coefficient of variation of DD intervals (%), from the median and the
+   * IQR-based spread (IQR / 1.349 equals σ for normal data) so one long
+   * thinking pause does not swamp it. Summaries without a series use mean/σ.
+   */
+  function ddVariation(metrics) {
+    const series = Array.isArray(metrics.ddTimes) ? metrics.ddTimes : [];
+    if (series.length >= 4 && median(series) > 0) {
+      return (interquartileRange(series) / 1.349) / median(series) * 100;
+    }
+    return metrics.avgDD > 0 ? (metrics.stdDD / metrics.avgDD) * 100 : 0;
+  }
+
   function calculateWPM(text, durationMs) {
     const words = text.trim().split(/\s+/).length;
     const minutes = durationMs / 60000;
@@ -1060,15 +2181,30 @@
     els.editor.disabled = !state.running;
     els.mode.disabled = state.running;
     els.imeToggle.disabled = state.running;
-    els.phrase.disabled = state.running || els.mode.value !== 'custom';
+    els.phrase.disabled = state.running || (els.mode.value !== 'custom' && els.mode.value !== 'enroll');
     
-    els.btnSave.disabled = !state.metrics.totalKeys;
+    // A locked vault cannot encrypt new records, so nothing may be stored until unlock
+    const locked = isVaultLocked();
+    // A stored profile in view is already saved; a copy would count as a new session
+    const viewingStored = !!state.viewedProfile && state.viewedProfile.id !== undefined;
+    els.btnSave.disabled = !state.metrics.totalKeys || locked || viewingStored;
     els.btnExport.disabled = state.profiles.length === 0;
-    els.btnImport.disabled = state.running;
+    els.btnExportCsv.disabled = state.profiles.length === 0;
+    els.btnImport.disabled = state.running || locked;
+    els.btnImportCmu.disabled = state.running || locked;
+    updateVaultUI();
     els.btnCompare.disabled = state.profiles.length < 2;
+    els.evaluation.btnEvaluate.disabled = state.running || state.profiles.length < 3;
+    els.synthetic.btnGenerate.disabled = state.running;
+    els.synthetic.btnPopulation.disabled = state.running || locked;
+    refreshDtwSources();
+    refreshSideBySideSources();
+    refreshLiveAuthProfiles();
+    refreshHistorySubjects();
+    renderProfileList();
     
     // Update summary stats
-    const statsContainer = document.querySelector('.grid.three');
+    const statsContainer = document.getElementById('summaryStats');
     if (state.metrics.totalKeys) {
       statsContainer.innerHTML = `
         <div class="stat">
@@ -1107,6 +2243,13 @@
       `;
     }
     
+    els.replay.btnPlay.disabled = state.running || state.replay.playing || !state.metrics.totalKeys;
+    els.replay.btnStop.disabled = !state.replay.playing;
+    if (state.replay.playing) {
+      els.btnStart.disabled = true;
+      els.btnClear.disabled = true;
+    }
+    
     // Update button texts
     els.btnStart.textContent = state.running ? 'Recording...' : 'Start';
     els.editor.placeholder = state.running ? 'Type here... (半角英数字推奨 / Half-width characters recommended)' : 'Click Start to begin recording';
@@ -1114,20 +2257,23 @@
 
   function renderVisualizations() {
     renderTimeline();
-    renderRhythm();
+    if (state.dtw) {
+      renderDtwOverlay();
+    } else {
+      renderRhythm();
+    }
     renderHeatmap();
   }
 
-  function renderTimeline() {
+  function renderTimeline(container = els.viz.timeline, events = state.events) {
     try {
-      const canvas = createCanvas(els.viz.timeline);
+      const canvas = createCanvas(container);
       if (!canvas) {
         console.error('Failed to create canvas for timeline');
         return;
       }
       
       const ctx = canvas.getContext('2d');
-      const events = state.events;
       const colors = getThemeColors();
       const vizConfig = getVizConfig();
       
@@ -1138,12 +2284,22 @@
       }
     
     const width = canvas.width;
-    const height = canvas.height;
     const config = vizConfig.timeline;
     const padding = config.margin.left;
     const barHeight = config.barHeight;
     const isLight = document.documentElement.classList.contains('light-mode');
     
+    // Overlapping keystrokes (rollover) are stacked on extra lanes above the first;
+    // grow the canvas to fit them (resizing also clears it)
+    const strokes = buildKeystrokes(events).filter(stroke => stroke.up !== null);
+    const lanes = assignTimelineLanes(strokes);
+    const laneCount = lanes.reduce((max, lane) => Math.max(max, lane + 1), 1);
+    const laneGap = barHeight + 4;
+    canvas.height = 120 + (laneCount - 1) * laneGap;
+    const height = canvas.height;
+    const rolledOver = new Set(findRollovers(strokes).map(rollover => rollover.next));
+    const rolloverColors = isLight ? ['#D97706', '#F59E0B'] : ['#FBBF24', '#F59E0B'];
+    
     ctx.clearRect(0, 0, width, height);
     
     const maxTime = events[events.length - 1].t;
@@ -1153,162 +2309,164 @@
     const textPositions = [];
     
     // Draw key press bars with improved colors and visibility
-    state.events.forEach(event => {
-      if (event.type === 'down') {
-        const upEvent = state.events.find(e => 
-          e.type === 'up' && e.code === event.code && e.t > event.t
-        );
+    strokes.forEach((stroke, index) => {
+      const lane = lanes[index];
+      const x = padding + stroke.down * scale;
+      const w = Math.max(2, (stroke.up - stroke.down) * scale); // Minimum width for visibility
+      const y = height - 70 - lane * laneGap; // Lane 0 keeps the single-lane position
+      
+      // Enhanced bar colors using theme colors; keys pressed before the previous release in amber
+      const rolled = rolledOver.has(stroke);
+      const gradient = ctx.createLinearGradient(x, y, x, y + barHeight);
+      gradient.addColorStop(0, rolled ? rolloverColors[0] : colors.primary || '#4da3ff');
+      gradient.addColorStop(1, rolled ? rolloverColors[1] : colors.accent || '#7bd389');
+      ctx.fillStyle = gradient;
+      
+      // Draw bar with rounded corners effect
+      ctx.fillRect(x, y, w, barHeight);
+      
+      // Add subtle border for definition
+      ctx.strokeStyle = colors.border || '#1f2640';
+      ctx.lineWidth = 1;
+      ctx.strokeRect(x, y, w, barHeight);
+      
+      // Enhanced multi-layer text positioning with adaptive sizing
+      if (w >= 6) { // Show label for even smaller bars
+        const text = stroke.key.toUpperCase();
+        const dwellTime = Math.round(stroke.up - stroke.down);
+        
+        // Calculate adaptive font size based on density and importance
+        const density = Math.min(events.length / 50, 1); // 0-1 density factor
+        const importance = Math.min(dwellTime / 200, 1); // 0-1 importance factor
+        const baseFontSize = Math.max(8, config.fontSize - density * 3 + importance * 2);
+        const adaptiveFontSize = Math.min(12, Math.max(8, baseFontSize));
+        
+        ctx.font = `bold ${adaptiveFontSize}px ${config.fontFamily}`;
+        const textMetrics = ctx.measureText(text);
+        const textWidth = textMetrics.width + 4;
+        const textHeight = adaptiveFontSize + 2;
+        
+        // Define 4 positioning layers with adequate spacing
+        const layers = [
+          { y: y - textHeight - 4, priority: 1, name: 'above' },      // Above bar
+          { y: y + barHeight/2 - textHeight/2, priority: 0, name: 'center' }, // Center of bar
+          { y: y + barHeight + 4, priority: 2, name: 'below' },       // Below bar
+          { y: y - textHeight * 2 - 8, priority: 3, name: 'far-above' } // Far above
+        ];
         
-        if (upEvent) {
-          const x = padding + event.t * scale;
-          const w = Math.max(2, (upEvent.t - event.t) * scale); // Minimum width for visibility
-          const y = height / 2 - barHeight / 2;
+        // Calculate preferred X position (center of bar)
+        let preferredX = x + w/2 - textWidth/2;
+        preferredX = Math.max(padding + 2, Math.min(preferredX, width - padding - textWidth - 2));
+        
+        let bestPosition = null;
+        let bestLayer = null;
+        
+        // Try each layer systematically
+        for (const layer of layers.sort((a, b) => a.priority - b.priority)) {
+          // Check if layer Y position is within canvas bounds
+          if (layer.y < 0 || layer.y + textHeight > height) continue;
           
-          // Enhanced bar colors using theme colors
-          const gradient = ctx.createLinearGradient(x, y, x, y + barHeight);
-          gradient.addColorStop(0, colors.primary || '#4da3ff');
-          gradient.addColorStop(1, colors.accent || '#7bd389');
-          ctx.fillStyle = gradient;
+          let finalX = preferredX;
+          let hasCollision = false;
           
-          // Draw bar with rounded corners effect
-          ctx.fillRect(x, y, w, barHeight);
+          // Check for collisions at preferred position
+          for (const pos of textPositions) {
+            if (Math.abs(finalX - pos.x) < textWidth + 2 && 
+                Math.abs(layer.y - pos.y) < textHeight + 2) {
+              hasCollision = true;
+              break;
+            }
+          }
           
-          // Add subtle border for definition
-          ctx.strokeStyle = colors.border || '#1f2640';
-          ctx.lineWidth = 1;
-          ctx.strokeRect(x, y, w, barHeight);
-          
-          // Enhanced multi-layer text positioning with adaptive sizing
-          if (w >= 6) { // Show label for even smaller bars
-            const text = event.key.toUpperCase();
-            const dwellTime = event.dwellTime || 0;
-            
-            // Calculate adaptive font size based on density and importance
-            const density = Math.min(events.length / 50, 1); // 0-1 density factor
-            const importance = Math.min(dwellTime / 200, 1); // 0-1 importance factor
-            const baseFontSize = Math.max(8, config.fontSize - density * 3 + importance * 2);
-            const adaptiveFontSize = Math.min(12, Math.max(8, baseFontSize));
-            
-            ctx.font = `bold ${adaptiveFontSize}px ${config.fontFamily}`;
-            const textMetrics = ctx.measureText(text);
-            const textWidth = textMetrics.width + 4;
-            const textHeight = adaptiveFontSize + 2;
-            
-            // Define 4 positioning layers with adequate spacing
-            const layers = [
-              { y: y - textHeight - 4, priority: 1, name: 'above' },      // Above bar
-              { y: y + barHeight/2 - textHeight/2, priority: 0, name: 'center' }, // Center of bar
-              { y: y + barHeight + 4, priority: 2, name: 'below' },       // Below bar
-              { y: y - textHeight * 2 - 8, priority: 3, name: 'far-above' } // Far above
+          // If collision, try alternative X positions
+          if (hasCollision) {
+            const alternativePositions = [
+              preferredX + textWidth + 4,  // Right side
+              preferredX - textWidth - 4,  // Left side
+              preferredX + textWidth * 0.7, // Slight right offset
+              preferredX - textWidth * 0.7  // Slight left offset
             ];
             
-            // Calculate preferred X position (center of bar)
-            let preferredX = x + w/2 - textWidth/2;
-            preferredX = Math.max(padding + 2, Math.min(preferredX, width - padding - textWidth - 2));
-            
-            let bestPosition = null;
-            let bestLayer = null;
-            
-            // Try each layer systematically
-            for (const layer of layers.sort((a, b) => a.priority - b.priority)) {
-              // Check if layer Y position is within canvas bounds
-              if (layer.y < 0 || layer.y + textHeight > height) continue;
+            for (const altX of alternativePositions) {
+              // Ensure within bounds
+              const clampedX = Math.max(padding + 2, Math.min(altX, width - padding - textWidth - 2));
               
-              let finalX = preferredX;
-              let hasCollision = false;
-              
-              // Check for collisions at preferred position
+              // Check collision at alternative position
+              let altHasCollision = false;
               for (const pos of textPositions) {
-                if (Math.abs(finalX - pos.x) < textWidth + 2 && 
+                if (Math.abs(clampedX - pos.x) < textWidth + 2 && 
                     Math.abs(layer.y - pos.y) < textHeight + 2) {
-                  hasCollision = true;
+                  altHasCollision = true;
                   break;
                 }
               }
               
-              // If collision, try alternative X positions
-              if (hasCollision) {
-                const alternativePositions = [
-                  preferredX + textWidth + 4,  // Right side
-                  preferredX - textWidth - 4,  // Left side
-                  preferredX + textWidth * 0.7, // Slight right offset
-                  preferredX - textWidth * 0.7  // Slight left offset
-                ];
-                
-                for (const altX of alternativePositions) {
-                  // Ensure within bounds
-                  const clampedX = Math.max(padding + 2, Math.min(altX, width - padding - textWidth - 2));
-                  
-                  // Check collision at alternative position
-                  let altHasCollision = false;
-                  for (const pos of textPositions) {
-                    if (Math.abs(clampedX - pos.x) < textWidth + 2 && 
-                        Math.abs(layer.y - pos.y) < textHeight + 2) {
-                      altHasCollision = true;
-                      break;
-                    }
-                  }
-                  
-                  if (!altHasCollision) {
-                    finalX = clampedX;
-                    hasCollision = false;
-                    break;
-                  }
-                }
-              }
-              
-              // If no collision found, use this layer
-              if (!hasCollision) {
-                bestPosition = { x: finalX, y: layer.y };
-                bestLayer = layer;
+              if (!altHasCollision) {
+                finalX = clampedX;
+                hasCollision = false;
                 break;
               }
             }
-            
-            // Render the text if a good position was found
-            if (bestPosition) {
-              // Draw background with layer-appropriate styling
-              const alpha = bestLayer.name === 'center' ? 0.95 : 0.85;
-              ctx.fillStyle = isLight ? `rgba(255, 255, 255, ${alpha})` : `rgba(0, 0, 0, ${alpha})`;
-              ctx.fillRect(bestPosition.x, bestPosition.y, textWidth, textHeight);
-              
-              // Add subtle border for better definition
-              ctx.strokeStyle = isLight ? 'rgba(0, 0, 0, 0.1)' : 'rgba(255, 255, 255, 0.1)';
-              ctx.lineWidth = 0.5;
-              ctx.strokeRect(bestPosition.x, bestPosition.y, textWidth, textHeight);
-              
-              // Render high contrast text
-              ctx.fillStyle = isLight ? '#1A202C' : '#F7FAFC';
-              ctx.textAlign = 'center';
-              ctx.textBaseline = 'middle';
-              ctx.fillText(text, bestPosition.x + textWidth/2, bestPosition.y + textHeight/2);
-              
-              // Add timing info for important events
-              if (dwellTime > 100 && adaptiveFontSize >= 10) {
-                ctx.font = `${Math.max(7, adaptiveFontSize - 2)}px ${config.fontFamily}`;
-                ctx.fillStyle = isLight ? '#4A5568' : '#A0AEC0';
-                ctx.fillText(`${dwellTime}ms`, bestPosition.x + textWidth/2, bestPosition.y + textHeight + 10);
-              }
-              
-              // Reset font and alignment
-              ctx.font = `bold ${adaptiveFontSize}px ${config.fontFamily}`;
-              ctx.textAlign = 'left';
-              ctx.textBaseline = 'alphabetic';
-              
-              // Store position for future collision detection
-              textPositions.push({ 
-                x: bestPosition.x, 
-                y: bestPosition.y, 
-                width: textWidth, 
-                height: textHeight,
-                layer: bestLayer.name
-              });
-            }
           }
+          
+          // If no collision found, use this layer
+          if (!hasCollision) {
+            bestPosition = { x: finalX, y: layer.y };
+            bestLayer = layer;
+            break;
+          }
+        }
+        
+        // Render the text if a good position was found
+        if (bestPosition) {
+          // Draw background with layer-appropriate styling
+          const alpha = bestLayer.name === 'center' ? 0.95 : 0.85;
+          ctx.fillStyle = isLight ? `rgba(255, 255, 255, ${alpha})` : `rgba(0, 0, 0, ${alpha})`;
+          ctx.fillRect(bestPosition.x, bestPosition.y, textWidth, textHeight);
+          
+          // Add subtle border for better definition
+          ctx.strokeStyle = isLight ? 'rgba(0, 0, 0, 0.1)' : 'rgba(255, 255, 255, 0.1)';
+          ctx.lineWidth = 0.5;
+          ctx.strokeRect(bestPosition.x, bestPosition.y, textWidth, textHeight);
+          
+          // Render high contrast text
+          ctx.fillStyle = isLight ? '#1A202C' : '#F7FAFC';
+          ctx.textAlign = 'center';
+          ctx.textBaseline = 'middle';
+          ctx.fillText(text, bestPosition.x + textWidth/2, bestPosition.y + textHeight/2);
+          
+          // Add timing info for important events
+          if (dwellTime > 100 && adaptiveFontSize >= 10) {
+            ctx.font = `${Math.max(7, adaptiveFontSize - 2)}px ${config.fontFamily}`;
+            ctx.fillStyle = isLight ? '#4A5568' : '#A0AEC0';
+            ctx.fillText(`${dwellTime}ms`, bestPosition.x + textWidth/2, bestPosition.y + textHeight + 10);
+          }
+          
+          // Reset font and alignment
+          ctx.font = `bold ${adaptiveFontSize}px ${config.fontFamily}`;
+          ctx.textAlign = 'left';
+          ctx.textBaseline = 'alphabetic';
+          
+          // Store position for future collision detection
+          textPositions.push({ 
+            x: bestPosition.x, 
+            y: bestPosition.y, 
+            width: textWidth, 
+            height: textHeight,
+            layer: bestLayer.name
+          });
         }
       }
     });
     
+    if (rolledOver.size > 0) {
+      ctx.fillStyle = rolloverColors[0];
+      ctx.font = `10px ${config.fontFamily}`;
+      ctx.textAlign = 'right';
+      ctx.fillText(`ロールオーバー ${rolledOver.size}件`, width - padding, 12);
+      ctx.textAlign = 'left';
+    }
+    
     // Enhanced time axis with scale markers
     ctx.strokeStyle = colors.border || '#1f2640';
     ctx.lineWidth = 1;
@@ -1343,16 +2501,16 @@
     }
   }
 
-  function renderRhythm() {
+  function renderRhythm(container = els.viz.rhythm, sessionEvents = state.events) {
     try {
-      const canvas = createCanvas(els.viz.rhythm);
+      const canvas = createCanvas(container);
       if (!canvas) {
         console.error('Failed to create canvas for rhythm');
         return;
       }
       
       const ctx = canvas.getContext('2d');
-      const events = state.events.filter(e => e.type === 'down');
+      const events = sessionEvents.filter(e => e.type === 'down');
       const colors = getThemeColors();
       const vizConfig = getVizConfig();
       const isLight = document.documentElement.classList.contains('light-mode');
@@ -1376,11 +2534,17 @@
       intervals.push(events[i + 1].t - events[i].t);
     }
     
-    const maxInterval = Math.max(...intervals);
+    // Outliers are drawn clipped at the top so one long pause does not flatten the rest
+    const pauseThreshold = getPauseThreshold();
+    const outliers = flagOutliers(intervals, pauseThreshold);
+    const inliers = intervals.filter((interval, i) => !outliers[i]);
+    const maxInterval = inliers.length > 0 ? Math.max(...inliers) : Math.max(...intervals);
     const minInterval = Math.min(...intervals);
     const avgInterval = average(intervals);
+    const medianInterval = median(intervals);
     const xScale = (width - 2 * padding) / intervals.length;
-    const yScale = (height - 2 * padding - 20) / maxInterval;
+    const yScale = (height - 2 * padding - 20) / Math.max(1, maxInterval);
+    const plotY = interval => height - padding - Math.min(interval, maxInterval) * yScale;
     
     // Draw background grid for better readability
     ctx.strokeStyle = colors.border || '#1f2640';
@@ -1405,8 +2569,7 @@
     ctx.moveTo(padding, height - padding);
     intervals.forEach((interval, i) => {
       const x = padding + i * xScale;
-      const y = height - padding - interval * yScale;
-      ctx.lineTo(x, y);
+      ctx.lineTo(x, plotY(interval));
     });
     ctx.lineTo(padding + (intervals.length - 1) * xScale, height - padding);
     ctx.closePath();
@@ -1426,7 +2589,7 @@
     
     intervals.forEach((interval, i) => {
       const x = padding + i * xScale;
-      const y = height - padding - interval * yScale;
+      const y = plotY(interval);
       
       if (i === 0) {
         ctx.moveTo(x, y);
@@ -1437,20 +2600,55 @@
     
     ctx.stroke();
     
-    // Draw data points for better visibility
-    ctx.fillStyle = colors.accent || '#7bd389';
+    // Pauses split the session into bursts; mark each split with a dashed line
+    ctx.strokeStyle = colors.muted;
+    ctx.lineWidth = 1;
+    ctx.setLineDash([3, 3]);
+    intervals.forEach((interval, i) => {
+      if (interval < pauseThreshold) return;
+      const x = padding + i * xScale;
+      ctx.beginPath();
+      ctx.moveTo(x, padding);
+      ctx.lineTo(x, height - padding);
+      ctx.stroke();
+    });
+    ctx.setLineDash([]);
+    
+    // Draw data points for better visibility; outliers larger and in red with their value
+    const dangerColor = isLight ? '#DC2626' : '#FCA5A5';
     intervals.forEach((interval, i) => {
       const x = padding + i * xScale;
-      const y = height - padding - interval * yScale;
+      const y = plotY(interval);
       
+      ctx.fillStyle = outliers[i] ? dangerColor : colors.accent || '#7bd389';
       ctx.beginPath();
-      ctx.arc(x, y, config.pointRadius, 0, 2 * Math.PI);
+      ctx.arc(x, y, outliers[i] ? config.pointRadius + 2 : config.pointRadius, 0, 2 * Math.PI);
       ctx.fill();
+      if (outliers[i] && interval > maxInterval) {
+        ctx.font = '9px monospace';
+        ctx.textAlign = 'center';
+        ctx.fillText(`${(interval / 1000).toFixed(1)}s`, x, y - config.pointRadius - 4);
+      }
     });
     
+    // Median line: the typical interval, unaffected by pauses
+    const medianY = plotY(medianInterval);
+    ctx.strokeStyle = colors.muted;
+    ctx.lineWidth = 1;
+    ctx.setLineDash([2, 4]);
+    ctx.beginPath();
+    ctx.moveTo(padding, medianY);
+    ctx.lineTo(width - padding, medianY);
+    ctx.stroke();
+    ctx.setLineDash([]);
+    ctx.fillStyle = colors.muted;
+    ctx.font = '10px monospace';
+    ctx.textAlign = 'left';
+    ctx.fillText(`Med: ${medianInterval.toFixed(0)}ms`, padding + 5, medianY - 5);
+    
     // Draw average line with label
-    const avgY = height - padding - avgInterval * yScale;
-    ctx.strokeStyle = isLight ? '#DC2626' : '#FCA5A5';
+    const avgY = plotY(avgInterval);
+    ctx.strokeStyle = dangerColor;
     ctx.lineWidth = 2;
     ctx.setLineDash([8, 4]);
     ctx.beginPath();
@@ -1460,11 +2658,18 @@
     ctx.setLineDash([]);
     
     // Add average label
-    ctx.fillStyle = isLight ? '#DC2626' : '#FCA5A5';
+    ctx.fillStyle = dangerColor;
     ctx.font = 'bold 11px monospace';
     ctx.textAlign = 'right';
     ctx.fillText(`Avg: ${avgInterval.toFixed(0)}ms`, width - padding - 5, avgY - 5);
     
+    const outlierCount = outliers.filter(Boolean).length;
+    if (outlierCount > 0) {
+      ctx.fillStyle = dangerColor;
+      ctx.font = '10px monospace';
+      ctx.fillText(`外れ値 ${outlierCount}件`, width - padding - 5, 12);
+    }
+    
     // Add Y-axis labels
     ctx.fillStyle = colors.muted;
     ctx.font = '9px monospace';
@@ -1478,9 +2683,15 @@
     }
   }
 
-  function renderHeatmap() {
+  /**
+   * options.metric overrides the selected heatmap metric (a HEATMAP_METRICS key
+   * or a metric object) and options.range ({min, max}) fixes the colour scale so
+   * two keyboards can share it. Diverging metrics colour below/above the middle
+   * of the range blue/red instead of using the intensity gradient.
+   */
+  function renderHeatmap(highlightCodes, container = els.viz.heatmap, events = state.events, options = {}) {
     try {
-      const canvas = createCanvas(els.viz.heatmap);
+      const canvas = createCanvas(container);
       if (!canvas) {
         console.error('Failed to create canvas for heatmap');
         return;
@@ -1489,56 +2700,67 @@
       const ctx = canvas.getContext('2d');
       const colors = getThemeColors();
       const vizConfig = getVizConfig();
+      const strokes = buildKeystrokes(events);
       
-      // Count key frequencies
+      // Count key frequencies by physical key; remember the last character each produced
       const keyFreq = new Map();
-      state.events.filter(e => e.type === 'down').forEach(event => {
-        const count = keyFreq.get(event.key) || 0;
-        keyFreq.set(event.key, count + 1);
+      const typedLabels = new Map();
+      strokes.forEach(stroke => {
+        keyFreq.set(stroke.code, (keyFreq.get(stroke.code) || 0) + 1);
+        typedLabels.set(stroke.code, stroke.key);
       });
       
       console.log('Debug Heatmap: key frequencies:', keyFreq.size);
       
       // Always render keyboard layout, even with no data
       const hasData = keyFreq.size > 0;
+      
+      // Per-key values for the selected metric, normalized onto 0-1
+      const metric = typeof options.metric === 'object' ? options.metric :
+        HEATMAP_METRICS[options.metric || els.heatmapMetric.value] || HEATMAP_METRICS.frequency;
+      const keyValues = hasData ? metric.compute(strokes) : new Map();
+      const values = Array.from(keyValues.values());
+      let valueMin = metric.zeroBased || values.length === 0 ? 0 : Math.min(...values);
+      let valueMax = values.length > 0 ? Math.max(...values) : 1;
+      if (options.range) {
+        valueMin = options.range.min;
+        valueMax = options.range.max;
+      }
+      const intensityOf = code => {
+        if (!keyValues.has(code)) return null;
+        if (valueMax > valueMin) return (keyValues.get(code) - valueMin) / (valueMax - valueMin);
+        // Degenerate range: all zeros stay uncoloured, equal non-zero values sit mid-scale
+        return metric.zeroBased ? 0 : 0.5;
+      };
     
     const width = canvas.width;
-    const height = canvas.height;
     const config = vizConfig.heatmap;
+    const layout = getKeyboardLayout();
+    const rows = config.keyboardLayout.geometries[layout.geometry];
     
-    ctx.clearRect(0, 0, width, height);
-    
-    // Use keyboard layout from config
-    const rows = config.keyboardLayout.rows;
-    
-    const maxFreq = hasData ? Math.max(...keyFreq.values()) : 1;
-    // Use configurable key size
-    const keySize = Math.min(config.cellSize, (width - 120) / 14); // Adjusted for Backspace row
+    // Every row is 15 key units wide
+    const keySize = Math.min(config.cellSize, (width - 40) / 15);
     const keyGap = config.spacing;
-    // Calculate total width based on the longest row (first row with Backspace)
-    // Account for variable key widths in the calculation
-    let maxRowWidth = 0;
-    rows.forEach(row => {
-      let rowWidth = 0;
-      row.forEach(key => {
-        let keyWidth = keySize;
-        if (key === 'Backspace') keyWidth = keySize * 1.5;
-        else if (key === 'Tab') keyWidth = keySize * 1.2;
-        else if (key === 'CapsLock') keyWidth = keySize * 1.3;
-        else if (key === 'Enter') keyWidth = keySize * 1.4;
-        else if (key === ' ') keyWidth = keySize * 6.0;  // Space bar - much wider to fill the row
-        rowWidth += keyWidth + keyGap;
-      });
-      rowWidth -= keyGap; // Remove last gap
-      maxRowWidth = Math.max(maxRowWidth, rowWidth);
-    });
-    
-    const totalWidth = maxRowWidth;
+    const unitWidth = units => keySize * units + keyGap * (units - 1);
+    const totalWidth = unitWidth(15) + keyGap * 14;
     const startX = (width - totalWidth) / 2;
     
+    // Find keys that were pressed but not in layout
+    const layoutCodes = new Set();
+    rows.forEach(row => row.forEach(([code]) => layoutCodes.add(code)));
+    const extraCodes = Array.from(keyFreq.keys()).filter(code => !layoutCodes.has(code));
+    
+    // Grow the canvas to fit the layout, legend and extra keys (resizing also clears it)
+    const legendHeight = hasData && keyValues.size > 0 ? 50 : 0;
+    const neededHeight = 25 + legendHeight + rows.length * (keySize + keyGap) +
+      (extraCodes.length > 0 ? keySize + keyGap + 5 : 0) + 10;
+    canvas.height = Math.max(280, Math.ceil(neededHeight));
+    const height = canvas.height;
+    
+    ctx.clearRect(0, 0, width, height);
+    
     // Draw legend first at the top when there's data
-    let legendHeight = 0;
-    if (hasData && maxFreq > 0) {
+    if (legendHeight > 0) {
       const legendY = 20;
       const legendWidth = 200;
       const legendBarHeight = 12;
@@ -1548,7 +2770,11 @@
       const gradient = ctx.createLinearGradient(legendX, 0, legendX + legendWidth, 0);
       const isLight = document.documentElement.classList.contains('light-mode');
       
-      if (isLight) {
+      if (metric.diverging) {
+        gradient.addColorStop(0, 'rgba(37, 99, 235, 1.0)');     // Blue
+        gradient.addColorStop(0.5, isLight ? '#f8f9fa' : colors.surface || '#141926');
+        gradient.addColorStop(1, 'rgba(220, 38, 38, 1.0)');     // Red
+      } else if (isLight) {
         gradient.addColorStop(0, 'rgba(30, 100, 255, 0.4)');    // Light blue
         gradient.addColorStop(0.5, 'rgba(130, 60, 155, 0.7)');  // Purple
         gradient.addColorStop(1, 'rgba(230, 20, 155, 1.0)');    // Red
@@ -1567,146 +2793,581 @@
       ctx.fillStyle = colors.text;
       ctx.font = '11px monospace';
       ctx.textAlign = 'left';
-      ctx.fillText('1回', legendX, legendY + legendBarHeight + 15);
+      const legendMin = metric.legendMin !== undefined ? metric.legendMin : valueMin;
+      ctx.fillText(metric.format(legendMin), legendX, legendY + legendBarHeight + 15);
       ctx.textAlign = 'right';
-      ctx.fillText(`${maxFreq}回`, legendX + legendWidth, legendY + legendBarHeight + 15);
+      ctx.fillText(metric.format(valueMax), legendX + legendWidth, legendY + legendBarHeight + 15);
       ctx.textAlign = 'center';
-      ctx.fillText('使用頻度', legendX + legendWidth / 2, legendY + legendBarHeight + 15);
-      
-      legendHeight = 50; // Space for legend
+      ctx.fillText(metric.label, legendX + legendWidth / 2, legendY + legendBarHeight + 15);
     }
     
     const startY = 25 + legendHeight;
     
-    // Create a set of all keys in the layout
-    const layoutKeys = new Set();
-    rows.forEach(row => row.forEach(key => layoutKeys.add(key)));
-    
-    // Find keys that were pressed but not in layout
-    const extraKeys = [];
-    keyFreq.forEach((freq, key) => {
-      if (!layoutKeys.has(key) && key !== ' ') {
-        extraKeys.push(key);
-      }
-    });
-    
-    rows.forEach((row, rowIdx) => {
-      let currentX = startX;
+    const drawKey = (code, x, y, keyWidth, label, fontSize) => {
+      const intensity = intensityOf(code);
       
-      // Row-specific horizontal offset for staggered layout
-      if (rowIdx === 2) currentX += keySize * 0.5;  // A row offset
-      else if (rowIdx === 3) currentX += keySize * 1.5;  // Z row offset (larger to center the row)
-      else if (rowIdx === 4) currentX += keySize * 3.0;  // Space bar centered offset
-      
-      row.forEach((key, colIdx) => {
-        // Adjust key width for special keys
-        let keyWidth = keySize;
-        if (key === 'Backspace') keyWidth = keySize * 1.5;
-        else if (key === 'Tab') keyWidth = keySize * 1.2;
-        else if (key === 'CapsLock') keyWidth = keySize * 1.3;
-        else if (key === 'Enter') keyWidth = keySize * 1.4;
-        else if (key === ' ') keyWidth = keySize * 6.0;  // Space bar - much wider to fill the row
+      // Color based on the selected metric - proper heatmap, or base color if no data
+      if (hasData && intensity !== null) {
+        const isLight = document.documentElement.classList.contains('light-mode');
         
-        const x = currentX;
-        const y = startY + rowIdx * (keySize + keyGap);
-        const freq = keyFreq.get(key) || 0;
-        const intensity = hasData ? freq / maxFreq : 0;
-        
-        // Color based on frequency - proper heatmap, or base color if no data
-        if (hasData && intensity > 0) {
-          const isLight = document.documentElement.classList.contains('light-mode');
-          
-          if (isLight) {
-            // Light mode: blue to red gradient
-            const red = Math.floor(30 + intensity * 200);
-            const green = Math.floor(100 - intensity * 80);
-            const blue = Math.floor(255 - intensity * 100);
-            const alpha = 0.4 + intensity * 0.6;
-            ctx.fillStyle = `rgba(${red}, ${green}, ${blue}, ${alpha})`;
-          } else {
-            // Dark mode: blue to yellow/red gradient
-            const red = Math.floor(intensity * 255);
-            const green = Math.floor(intensity * 180);
-            const blue = Math.floor(255 - intensity * 255);
-            const alpha = 0.6 + intensity * 0.4;
-            ctx.fillStyle = `rgba(${red}, ${green}, ${blue}, ${alpha})`;
-          }
+        if (metric.diverging) {
+          // Distance from the middle of the range sets the strength of blue or red
+          const signed = intensity * 2 - 1;
+          const alpha = 0.1 + Math.min(1, Math.abs(signed)) * 0.9;
+          ctx.fillStyle = signed < 0 ? `rgba(37, 99, 235, ${alpha})` : `rgba(220, 38, 38, ${alpha})`;
+        } else if (isLight) {
+          // Light mode: blue to red gradient
+          const red = Math.floor(30 + intensity * 200);
+          const green = Math.floor(100 - intensity * 80);
+          const blue = Math.floor(255 - intensity * 100);
+          const alpha = 0.4 + intensity * 0.6;
+          ctx.fillStyle = `rgba(${red}, ${green}, ${blue}, ${alpha})`;
         } else {
-          // Show neutral keyboard layout color
-          const isLight = document.documentElement.classList.contains('light-mode');
-          ctx.fillStyle = isLight ? '#f8f9fa' : colors.surface || '#141926';
+          // Dark mode: blue to yellow/red gradient
+          const red = Math.floor(intensity * 255);
+          const green = Math.floor(intensity * 180);
+          const blue = Math.floor(255 - intensity * 255);
+          const alpha = 0.6 + intensity * 0.4;
+          ctx.fillStyle = `rgba(${red}, ${green}, ${blue}, ${alpha})`;
         }
-        
-        ctx.fillRect(x, y, keyWidth, keySize);
-        ctx.strokeStyle = colors.border;
-        ctx.strokeRect(x, y, keyWidth, keySize);
-        
-        // Draw key label with proper mapping
+      } else {
+        // Show neutral keyboard layout color
+        const isLight = document.documentElement.classList.contains('light-mode');
+        ctx.fillStyle = isLight ? '#f8f9fa' : colors.surface || '#141926';
+      }
+      
+      ctx.fillRect(x, y, keyWidth, keySize);
+      ctx.strokeStyle = colors.border;
+      ctx.strokeRect(x, y, keyWidth, keySize);
+      if (highlightCodes && highlightCodes.has(code)) {
+        drawKeyHighlight(ctx, x, y, keyWidth, keySize);
+      }
+      
+      // Draw key label
+      if (label) {
         ctx.fillStyle = colors.text;
-        ctx.font = `${config.fontSize}px ${config.fontFamily}`;
+        ctx.font = `${fontSize}px ${config.fontFamily}`;
         ctx.textAlign = 'center';
         ctx.textBaseline = 'middle';
-        
-        // Use key mapping for display names, fallback to original key
-        const displayKey = config.keyboardLayout.keyMap[key] || key.toUpperCase();
-        ctx.fillText(displayKey, x + keyWidth / 2, y + keySize / 2);
-        
-        // Update currentX for next key
+        ctx.fillText(label, x + keyWidth / 2, y + keySize / 2);
+      }
+    };
+    
+    rows.forEach((row, rowIdx) => {
+      let currentX = startX;
+      const y = startY + rowIdx * (keySize + keyGap);
+      
+      row.forEach(([code, units], colIdx) => {
+        const keyWidth = unitWidth(units);
+        // A code repeated within the layout (tall ISO/JIS Enter) is labelled once
+        const labelled = !rows.slice(0, rowIdx).some(r => r.some(([c]) => c === code)) &&
+          !row.slice(0, colIdx).some(([c]) => c === code);
+        drawKey(code, currentX, y, keyWidth, labelled ? keyLegend(code, layout, config) : '', config.fontSize);
         currentX += keyWidth + keyGap;
       });
     });
     
-    // Space bar is now handled in the regular keyboard layout (row 4), no separate rendering needed
-    
-    // Draw extra keys that are not in the standard layout
-    if (extraKeys.length > 0) {
+    // Draw extra keys that are not in the selected layout
+    if (extraCodes.length > 0) {
       const extraY = startY + rows.length * (keySize + keyGap) + 5;
-      extraKeys.forEach((key, index) => {
+      extraCodes.forEach((code, index) => {
         const extraX = startX + index * (keySize + keyGap);
-        const freq = keyFreq.get(key) || 0;
-        const intensity = freq / maxFreq;
-        
-        // Color based on frequency
-        if (intensity > 0) {
-          const isLight = document.documentElement.classList.contains('light-mode');
-          if (isLight) {
-            const red = Math.floor(30 + intensity * 200);
-            const green = Math.floor(100 - intensity * 80);
-            const blue = Math.floor(255 - intensity * 100);
-            const alpha = 0.4 + intensity * 0.6;
-            ctx.fillStyle = `rgba(${red}, ${green}, ${blue}, ${alpha})`;
-          } else {
-            const red = Math.floor(intensity * 255);
-            const green = Math.floor(intensity * 180);
-            const blue = Math.floor(255 - intensity * 255);
-            const alpha = 0.6 + intensity * 0.4;
-            ctx.fillStyle = `rgba(${red}, ${green}, ${blue}, ${alpha})`;
-          }
-        } else {
-          ctx.fillStyle = colors.background;
-        }
-        
-        ctx.fillRect(extraX, extraY, keySize, keySize);
-        ctx.strokeStyle = colors.border;
-        ctx.strokeRect(extraX, extraY, keySize, keySize);
-        
-        // Draw key label
-        ctx.fillStyle = colors.text;
-        ctx.font = `${Math.max(8, config.fontSize - 2)}px ${config.fontFamily}`;
-        ctx.textAlign = 'center';
-        ctx.textBaseline = 'middle';
-        const displayKey = config.keyboardLayout.keyMap[key] || key.toUpperCase();
-        ctx.fillText(displayKey, extraX + keySize / 2, extraY + keySize / 2);
+        const typed = typedLabels.get(code) || code;
+        const label = config.keyboardLayout.keyMap[typed] || typed.toUpperCase();
+        drawKey(code, extraX, extraY, keySize, label, Math.max(8, config.fontSize - 2));
       });
     }
-    
-    // Legend is now drawn at the top, no need to draw it here again
     } catch (error) {
       console.error('Error in renderHeatmap:', error);
     }
   }
 
-  function createCanvas(container) {
+  function getKeyboardLayout() {
+    const layouts = CONFIG.visualization.heatmap.keyboardLayout.layouts;
+    return layouts[els.keyboardLayout.value] || layouts[CONFIG.visualization.heatmap.keyboardLayout.default];
+  }
+
+  function keyLegend(code, layout, config) {
+    const keyboardLayout = config.keyboardLayout;
+    // Letter keycaps are printed upper-case
+    if (layout.legends[code]) return layout.legends[code].replace(/^[a-z]$/, ch => ch.toUpperCase());
+    if (keyboardLayout.keyMap[code]) return keyboardLayout.keyMap[code];
+    if (keyboardLayout.baseLegends[code]) return keyboardLayout.baseLegends[code];
+    
+    const letter = code.match(/^Key([A-Z])$/);
+    if (letter) return letter[1];
+    const digit = code.match(/^Digit([0-9])$/);
+    if (digit) return digit[1];
+    return code;
+  }
+
+  function loadKeyboardLayout() {
+    try {
+      const saved = localStorage.getItem('keyboard_layout');
+      // Validate against known layouts to prevent injection
+      if (saved && CONFIG.visualization.heatmap.keyboardLayout.layouts[saved]) {
+        els.keyboardLayout.value = saved;
+      }
+    } catch (error) {
+      console.warn('Failed to load keyboard layout from localStorage:', error);
+    }
+  }
+
+  function changeKeyboardLayout() {
+    try {
+      localStorage.setItem('keyboard_layout', els.keyboardLayout.value);
+    } catch (error) {
+      console.warn('Failed to save keyboard layout:', error);
+    }
+    renderHeatmap(state.replay.playing ? state.replay.pressed : undefined);
+    if (state.sideBySide) renderSideBySide();
+  }
+
+  // ====== Dynamic Time Warping ======
+
+  // Caps the O(n·m) cost matrix at ~18MB
+  const DTW_MAX_LENGTH = 1500;
+
+  function dynamicTimeWarping(a, b) {
+    const n = a.length;
+    const m = b.length;
+    if (n === 0 || m === 0) return { distance: Infinity, normalizedDistance: Infinity, path: [] };
+    
+    const cols = m + 1;
+    const cost = new Float64Array((n + 1) * cols).fill(Infinity);
+    cost[0] = 0;
+    
+    for (let i = 1; i <= n; i++) {
+      for (let j = 1; j <= m; j++) {
+        const d = Math.abs(a[i - 1] - b[j - 1]);
+        cost[i * cols + j] = d + Math.min(
+          cost[(i - 1) * cols + j],     // insertion
+          cost[i * cols + j - 1],       // deletion
+          cost[(i - 1) * cols + j - 1]  // match
+        );
+      }
+    }
+    
+    // Backtrack from (n, m) to recover the warping path
+    const path = [[n - 1, m - 1]];
+    let i = n;
+    let j = m;
+    while (i > 1 || j > 1) {
+      const diag = cost[(i - 1) * cols + j - 1];
+      const up = cost[(i - 1) * cols + j];
+      const left = cost[i * cols + j - 1];
+      if (diag <= up && diag <= left) {
+        i--;
+        j--;
+      } else if (up <= left) {
+        i--;
+      } else {
+        j--;
+      }
+      path.push([i - 1, j - 1]);
+    }
+    path.reverse();
+    
+    const distance = cost[n * cols + m];
+    return { distance, normalizedDistance: distance / path.length, path };
+  }
+
+  function getDtwSources() {
+    return getSessionSources().map(source => ({
+      value: source.value,
+      label: source.label,
+      metrics: source.session.metrics || {}
+    }));
+  }
+
+  // Options last written to each select; a large import would otherwise rebuild them on every updateUI()
+  const selectSignatures = new WeakMap();
+
+  /**
+   * Replaces the options of a select with [{label, value}] unless they are unchanged.
+   * Keeps the previous choice when it is still offered, otherwise picks options[fallbackIndex].
+   */
+  function setSelectOptions(select, options, fallbackIndex = -1) {
+    const signature = options.map(option => `${option.value}\u0000${option.label}`).join('\u0001');
+    if (selectSignatures.get(select) === signature) return;
+    selectSignatures.set(select, signature);
+    
+    const previous = select.value;
+    select.innerHTML = '';
+    options.forEach(option => select.add(new Option(option.label, option.value)));
+    if (options.some(option => option.value === previous)) {
+      select.value = previous;
+    } else if (options[fallbackIndex]) {
+      select.value = options[fallbackIndex].value;
+    }
+  }
+
+  function refreshDtwSources() {
+    const sources = getDtwSources();
+    [els.dtw.sourceA, els.dtw.sourceB].forEach((select, selectIdx) => setSelectOptions(select, sources, selectIdx));
+    
+    els.dtw.btnAlign.disabled = state.running || sources.length < 2;
+    els.dtw.btnClear.disabled = !state.dtw;
+  }
+
+  function runDtwComparison() {
+    const sources = getDtwSources();
+    const sourceA = sources.find(source => source.value === els.dtw.sourceA.value);
+    const sourceB = sources.find(source => source.value === els.dtw.sourceB.value);
+    if (!sourceA || !sourceB) return;
+    
+    const seriesKey = els.dtw.series.value === 'flightTimes' ? 'flightTimes' : 'ddTimes';
+    const fullA = Array.isArray(sourceA.metrics[seriesKey]) ? sourceA.metrics[seriesKey] : [];
+    const fullB = Array.isArray(sourceB.metrics[seriesKey]) ? sourceB.metrics[seriesKey] : [];
+    if (fullA.length === 0 || fullB.length === 0) {
+      els.dtw.result.textContent = '選択したプロファイルに比較可能なタイミング系列がありません。';
+      return;
+    }
+    
+    const seqA = fullA.slice(0, DTW_MAX_LENGTH);
+    const seqB = fullB.slice(0, DTW_MAX_LENGTH);
+    const result = dynamicTimeWarping(seqA, seqB);
+    
+    // Locate the largest local divergence along the path
+    let worst = { i: 0, j: 0, diff: -1 };
+    result.path.forEach(([i, j]) => {
+      const diff = Math.abs(seqA[i] - seqB[j]);
+      if (diff > worst.diff) worst = { i, j, diff };
+    });
+    
+    state.dtw = { seqA, seqB, result, labelA: sourceA.label, labelB: sourceB.label };
+    renderDtwOverlay();
+    refreshDtwSources();
+    
+    const truncated = fullA.length > DTW_MAX_LENGTH || fullB.length > DTW_MAX_LENGTH;
+    els.dtw.result.textContent =
+      `DTW distance: ${result.distance.toFixed(0)}ms (normalized ${result.normalizedDistance.toFixed(1)}ms/step), ` +
+      `path length ${result.path.length} (${seqA.length}×${seqB.length}), ` +
+      `max divergence A#${worst.i + 1} ↔ B#${worst.j + 1}: ${worst.diff.toFixed(0)}ms` +
+      (truncated ? ` ※先頭${DTW_MAX_LENGTH}件のみ比較` : '');
+  }
+
+  function clearDtwOverlay() {
+    state.dtw = null;
+    els.dtw.result.textContent = '';
+    els.viz.rhythm.innerHTML = '';
+    if (state.metrics.totalKeys) renderRhythm();
+    refreshDtwSources();
+  }
+
+  function renderDtwOverlay() {
+    try {
+      const canvas = createCanvas(els.viz.rhythm);
+      if (!canvas || !state.dtw) return;
+      
+      const ctx = canvas.getContext('2d');
+      const colors = getThemeColors();
+      const config = getVizConfig().rhythm;
+      const isLight = document.documentElement.classList.contains('light-mode');
+      const { seqA, seqB, result, labelA, labelB } = state.dtw;
+      
+      const width = canvas.width;
+      const height = canvas.height;
+      const padding = config.margin.left;
+      
+      ctx.clearRect(0, 0, width, height);
+      
+      const maxValue = Math.max(1, ...seqA, ...seqB);
+      const minValue = Math.min(0, ...seqA, ...seqB); // Flight times can be negative (rollover)
+      const span = maxValue - minValue;
+      const xScaleA = (width - 2 * padding) / Math.max(1, seqA.length - 1);
+      const xScaleB = (width - 2 * padding) / Math.max(1, seqB.length - 1);
+      const yOf = value => height - padding - ((value - minValue) / span) * (height - 2 * padding - 20);
+      
+      // Alignment lines, stronger where the two typists diverge
+      const diffs = result.path.map(([i, j]) => Math.abs(seqA[i] - seqB[j]));
+      const maxDiff = Math.max(1, ...diffs);
+      ctx.lineWidth = 1;
+      result.path.forEach(([i, j], k) => {
+        const alpha = 0.1 + 0.7 * (diffs[k] / maxDiff);
+        ctx.strokeStyle = isLight ? `rgba(220, 38, 38, ${alpha})` : `rgba(252, 165, 165, ${alpha})`;
+        ctx.beginPath();
+        ctx.moveTo(padding + i * xScaleA, yOf(seqA[i]));
+        ctx.lineTo(padding + j * xScaleB, yOf(seqB[j]));
+        ctx.stroke();
+      });
+      
+      // Both series on a shared value axis
+      const drawSeries = (seq, xScale, color) => {
+        ctx.strokeStyle = color;
+        ctx.lineWidth = config.lineWidth;
+        ctx.beginPath();
+        seq.forEach((value, i) => {
+          const x = padding + i * xScale;
+          if (i === 0) ctx.moveTo(x, yOf(value));
+          else ctx.lineTo(x, yOf(value));
+        });
+        ctx.stroke();
+        
+        ctx.fillStyle = color;
+        seq.forEach((value, i) => {
+          ctx.beginPath();
+          ctx.arc(padding + i * xScale, yOf(value), config.pointRadius, 0, 2 * Math.PI);
+          ctx.fill();
+        });
+      };
+      drawSeries(seqA, xScaleA, colors.primary);
+      drawSeries(seqB, xScaleB, colors.secondary);
+      
+      // Legend
+      ctx.font = 'bold 11px monospace';
+      ctx.textAlign = 'left';
+      ctx.fillStyle = colors.primary;
+      ctx.fillText(`A: ${labelA}`, padding, 14);
+      ctx.fillStyle = colors.secondary;
+      ctx.fillText(`B: ${labelB}`, padding + ctx.measureText(`A: ${labelA}`).width + 16, 14);
+      
+      // Y-axis labels
+      ctx.fillStyle = colors.muted;
+      ctx.font = '9px monospace';
+      ctx.textAlign = 'right';
+      ctx.fillText(`${maxValue.toFixed(0)}ms`, padding - 5, yOf(maxValue) + 3);
+      ctx.fillText(`${minValue.toFixed(0)}ms`, padding - 5, yOf(minValue) + 3);
+      
+      ctx.textAlign = 'left';
+    } catch (error) {
+      console.error('Error in renderDtwOverlay:', error);
+    }
+  }
+
+  /**
+   * Heatmap colourings. Each compute() takes paired keystrokes and returns
+   * Map(code -> value); keys without a value are drawn neutral.
+   */
+  const HEATMAP_METRICS = {
+    frequency: {
+      label: '使用頻度',
+      zeroBased: true,
+      legendMin: 1,
+      format: v => `${v.toFixed(0)}回`,
+      compute(strokes) {
+        const counts = new Map();
+        strokes.forEach(s => counts.set(s.code, (counts.get(s.code) || 0) + 1));
+        return counts;
+      }
+    },
+    dwellMean: {
+      label: '平均Dwell',
+      format: v => `${v.toFixed(0)}ms`,
+      compute(strokes) {
+        return mapValues(groupByKey(strokes, s => (s.up !== null ? s.up - s.down : null)), average);
+      }
+    },
+    dwellStd: {
+      label: 'Dwell標準偏差',
+      format: v => `${v.toFixed(0)}ms`,
+      compute(strokes) {
+        const grouped = groupByKey(strokes, s => (s.up !== null ? s.up - s.down : null));
+        // A single press has no spread
+        grouped.forEach((list, key) => { if (list.length < 2) grouped.delete(key); });
+        return mapValues(grouped, standardDeviation);
+      }
+    },
+    flightMean: {
+      label: '平均Flight（直前キーから）',
+      format: v => `${v.toFixed(0)}ms`,
+      compute(strokes) {
+        return mapValues(groupByKey(strokes, (s, i) => {
+          const prev = strokes[i - 1];
+          return prev && prev.up !== null ? s.down - prev.up : null;
+        }), average);
+      }
+    },
+    errorRate: {
+      label: 'エラー率（直後のBackspace）',
+      zeroBased: true,
+      format: v => `${(v * 100).toFixed(0)}%`,
+      compute(strokes) {
+        const followed = groupByKey(strokes, (s, i) => {
+          if (s.key === 'Backspace') return null;
+          const next = strokes[i + 1];
+          return next && next.key === 'Backspace' ? 1 : 0;
+        });
+        return mapValues(followed, average);
+      }
+    }
+  };
+
+  // Collects valueOf(stroke, index) per physical key (code), skipping null values
+  function groupByKey(strokes, valueOf) {
+    const grouped = new Map();
+    strokes.forEach((stroke, i) => {
+      const value = valueOf(stroke, i);
+      if (value === null || value === undefined) return;
+      if (!grouped.has(stroke.code)) grouped.set(stroke.code, []);
+      grouped.get(stroke.code).push(value);
+    });
+    return grouped;
+  }
+
+  function mapValues(map, fn) {
+    const result = new Map();
+    map.forEach((value, key) => result.set(key, fn(value)));
+    return result;
+  }
+
+  function drawKeyHighlight(ctx, x, y, w, h) {
+    const colors = getThemeColors();
+    const isLight = document.documentElement.classList.contains('light-mode');
+    ctx.save();
+    ctx.fillStyle = isLight ? 'rgba(0, 0, 0, 0.25)' : 'rgba(255, 255, 255, 0.45)';
+    ctx.fillRect(x, y, w, h);
+    ctx.strokeStyle = colors.primary;
+    ctx.lineWidth = 3;
+    ctx.strokeRect(x + 1.5, y + 1.5, w - 3, h - 3);
+    ctx.restore();
+  }
+
+  // ====== Replay ======
+
+  function startReplay() {
+    if (state.running || state.replay.playing || state.events.length === 0) return;
+    
+    const replay = state.replay;
+    replay.playing = true;
+    replay.speed = parseFloat(els.replay.speed.value) || 1;
+    replay.startWall = performance.now();
+    replay.index = 0;
+    replay.pressed = new Set();
+    replay.text = '';
+    replay.caret = 0;
+    replay.savedText = els.editor.value;
+    
+    // Redraw a clean timeline and keep it so the cursor can be drawn over it each frame
+    renderTimeline();
+    const canvas = els.viz.timeline.querySelector('canvas');
+    replay.timelineSnapshot = canvas ?
+      canvas.getContext('2d').getImageData(0, 0, canvas.width, canvas.height) : null;
+    
+    els.editor.value = '';
+    updateUI();
+    replay.rafId = requestAnimationFrame(stepReplay);
+  }
+
+  function updateReplaySpeed() {
+    const replay = state.replay;
+    const speed = parseFloat(els.replay.speed.value) || 1;
+    if (replay.playing) {
+      // Rebase so the playhead doesn't jump when the speed changes
+      const now = performance.now();
+      const elapsed = (now - replay.startWall) * replay.speed;
+      replay.startWall = now - elapsed / speed;
+    }
+    replay.speed = speed;
+  }
+
+  function stepReplay(now) {
+    const replay = state.replay;
+    if (!replay.playing) return;
+    
+    const playhead = (now - replay.startWall) * replay.speed;
+    const events = state.events;
+    let keysChanged = false;
+    
+    while (replay.index < events.length && events[replay.index].t <= playhead) {
+      const event = events[replay.index];
+      if (event.type === 'down') {
+        replay.pressed.add(event.code);
+        applyReplayKey(event.key);
+      } else {
+        replay.pressed.delete(event.code);
+      }
+      keysChanged = true;
+      replay.index++;
+    }
+    
+    if (keysChanged) {
+      els.editor.value = replay.text;
+      renderHeatmap(replay.pressed);
+    }
+    drawReplayCursor(Math.min(playhead, events[events.length - 1].t));
+    
+    if (replay.index >= events.length) {
+      stopReplay();
+      return;
+    }
+    replay.rafId = requestAnimationFrame(stepReplay);
+  }
+
+  // Re-types the editor contents from the key stream
+  function applyReplayKey(key) {
+    const replay = state.replay;
+    const { text, caret } = replay;
+    
+    if (key === 'Backspace') {
+      if (caret > 0) {
+        replay.text = text.slice(0, caret - 1) + text.slice(caret);
+        replay.caret--;
+      }
+    } else if (key === 'Delete') {
+      replay.text = text.slice(0, caret) + text.slice(caret + 1);
+    } else if (key === 'ArrowLeft') {
+      replay.caret = Math.max(0, caret - 1);
+    } else if (key === 'ArrowRight') {
+      replay.caret = Math.min(text.length, caret + 1);
+    } else if (key === 'Home') {
+      replay.caret = text.lastIndexOf('\n', caret - 1) + 1;
+    } else if (key === 'End') {
+      const lineEnd = text.indexOf('\n', caret);
+      replay.caret = lineEnd === -1 ? text.length : lineEnd;
+    } else if (key === 'Enter' || key.length === 1) {
+      const ch = key === 'Enter' ? '\n' : key;
+      replay.text = text.slice(0, caret) + ch + text.slice(caret);
+      replay.caret++;
+    }
+  }
+
+  function drawReplayCursor(t) {
+    const snapshot = state.replay.timelineSnapshot;
+    const canvas = els.viz.timeline.querySelector('canvas');
+    if (!snapshot || !canvas || state.events.length === 0) return;
+    
+    const ctx = canvas.getContext('2d');
+    const colors = getThemeColors();
+    const padding = getVizConfig().timeline.margin.left;
+    const maxTime = state.events[state.events.length - 1].t;
+    const x = padding + (maxTime > 0 ? t / maxTime : 0) * (canvas.width - 2 * padding);
+    
+    ctx.putImageData(snapshot, 0, 0);
+    ctx.save();
+    ctx.strokeStyle = colors.primary;
+    ctx.lineWidth = 2;
+    ctx.beginPath();
+    ctx.moveTo(x, 0);
+    ctx.lineTo(x, canvas.height);
+    ctx.stroke();
+    ctx.fillStyle = colors.text;
+    ctx.font = '10px monospace';
+    ctx.textAlign = x > canvas.width - 60 ? 'right' : 'left';
+    ctx.fillText(`${(t / 1000).toFixed(2)}s`, x + (ctx.textAlign === 'right' ? -4 : 4), 10);
+    ctx.restore();
+  }
+
+  function stopReplay() {
+    const replay = state.replay;
+    if (!replay.playing) return;
+    
+    replay.playing = false;
+    cancelAnimationFrame(replay.rafId);
+    
+    // Restore the static views
+    if (replay.timelineSnapshot) {
+      const canvas = els.viz.timeline.querySelector('canvas');
+      if (canvas) canvas.getContext('2d').putImageData(replay.timelineSnapshot, 0, 0);
+    }
+    replay.timelineSnapshot = null;
+    replay.pressed.clear();
+    els.editor.value = replay.savedText;
+    renderHeatmap();
+    updateUI();
+  }
+
+  function createCanvas(container, height) {
     // Check if canvas already exists to avoid recreating
     const existingCanvas = container.querySelector('canvas');
     if (existingCanvas) {
@@ -1720,15 +3381,19 @@
     
     const canvas = document.createElement('canvas');
     // Ensure minimum width for proper visualization, allow horizontal scroll if needed
-    const minWidth = container.id === 'heatmap' ? 400 : 300;
+    // Side-by-side boxes name their chart type in data-viz
+    const vizType = container.dataset.viz || container.id;
+    const minWidth = vizType === 'heatmap' ? 400 : 300;
     canvas.width = Math.max(minWidth, container.offsetWidth - 28); // Account for padding
     canvas.style.marginTop = '10px';
     canvas.style.maxWidth = 'none'; // Allow canvas to exceed container width
     
     // Different heights for different visualization types
-    if (container.id === 'heatmap') {
+    if (height) {
+      canvas.height = height;
+    } else if (vizType === 'heatmap') {
       canvas.height = 280; // Much taller for keyboard layout + legend + extra keys
-    } else if (container.id === 'timeline') {
+    } else if (vizType === 'timeline') {
       canvas.height = 120; // Shorter for timeline
     } else {
       canvas.height = 160; // Default for rhythm
@@ -1744,184 +3409,3625 @@
     els.viz.rhythm.innerHTML = '';
     els.viz.heatmap.innerHTML = '';
     
-    // Clear digraph table
-    const tbody = document.querySelector('table tbody');
-    tbody.innerHTML = '<tr><td colspan="4" class="muted center">No data</td></tr>';
+    // Clear n-gram table
+    els.ngram.tbody.innerHTML = '<tr><td colspan="6" class="muted center">No data</td></tr>';
     
     // Show empty keyboard layout
     renderHeatmap();
   }
 
-  function renderDigraphTable() {
-    const tbody = document.querySelector('table tbody');
+  function formatNgram(keys) {
+    // Single characters read naturally; named keys get brackets so "Shift"+"a" stays legible
+    return keys.map(key => {
+      if (key === ' ') return '␣';
+      return key.length === 1 ? key : `[${key}]`;
+    }).join('');
+  }
+
+  function renderNgramTable() {
+    const tbody = els.ngram.tbody;
     tbody.innerHTML = '';
     
-    if (state.digraphs.size === 0) {
-      tbody.innerHTML = '<tr><td colspan="4" class="muted center">No digraph data</td></tr>';
+    const n = parseInt(els.ngram.size.value, 10) || 2;
+    const ngrams = state.ngrams.get(n);
+    
+    if (!ngrams || ngrams.size === 0) {
+      tbody.innerHTML = `<tr><td colspan="6" class="muted center">No ${n}-gram data</td></tr>`;
       return;
     }
     
-    // Sort digraphs by frequency
-    const sortedDigraphs = Array.from(state.digraphs.entries())
-      .map(([digraph, timings]) => ({
-        digraph,
+    const rows = Array.from(ngrams.values())
+      .map(timings => ({
+        label: formatNgram(timings.keys),
+        samples: timings.DD.length,
         ddMean: average(timings.DD),
+        ddStd: standardDeviation(timings.DD),
         udMean: average(timings.UD),
-        samples: timings.DD.length
+        duMean: average(timings.DU),
+        uuMean: average(timings.UU),
+        hasUp: timings.UU.length > 0
       }))
-      .filter(d => d.samples > 0)
-      .sort((a, b) => b.samples - a.samples)
-      .slice(0, 10); // Top 10
+      .filter(d => d.samples > 0);
+    
+    const sorters = {
+      count: (a, b) => b.samples - a.samples || a.label.localeCompare(b.label),
+      fast: (a, b) => a.ddMean - b.ddMean,
+      slow: (a, b) => b.ddMean - a.ddMean,
+      alpha: (a, b) => a.label.localeCompare(b.label)
+    };
+    rows.sort(sorters[els.ngram.sort.value] || sorters.count);
     
-    sortedDigraphs.forEach(d => {
+    const fmt = value => `${value.toFixed(0)}ms`;
+    rows.forEach(d => {
       const row = tbody.insertRow();
-      row.innerHTML = `
-        <td>${d.digraph}</td>
-        <td>${d.ddMean.toFixed(0)}ms</td>
-        <td>${d.udMean.toFixed(0)}ms</td>
-        <td>${d.samples}</td>
-      `;
+      // textContent keeps typed characters like "<" from being parsed as markup
+      [
+        d.label,
+        String(d.samples),
+        d.samples > 1 ? `${fmt(d.ddMean)} ±${d.ddStd.toFixed(0)}` : fmt(d.ddMean),
+        d.hasUp ? fmt(d.udMean) : '—',
+        d.hasUp ? fmt(d.duMean) : '—',
+        d.hasUp ? fmt(d.uuMean) : '—'
+      ].forEach(text => {
+        row.insertCell().textContent = text;
+      });
     });
   }
 
-  function saveProfile() {
-    if (!state.metrics.totalKeys) return;
+  // ====== Enrollment & verification ======
+
+  const LATENCY_TYPES = ['DD', 'UD', 'DU', 'UU'];
+
+  // Per-key dwell and per-n-gram latency means, keyed like the CMU dataset columns (H.*, DD.*, UD.*, ...)
+  function extractFeatures(events, digraphs) {
+    const features = {};
+    
+    const dwellByKey = new Map();
+    events.forEach(e => {
+      if (e.type === 'up' && typeof e.dwell === 'number') {
+        if (!dwellByKey.has(e.key)) dwellByKey.set(e.key, []);
+        dwellByKey.get(e.key).push(e.dwell);
+      }
+    });
+    dwellByKey.forEach((values, key) => {
+      features[`H.${key}`] = average(values);
+    });
+    
+    if (events.length > 0) {
+      for (let n = 2; n <= CONFIG.analysis.ngram.featureMaxN; n++) {
+        extractNgrams(events, n).forEach((timings, gram) => {
+          LATENCY_TYPES.forEach(type => {
+            if (timings[type].length > 0) features[`${type}.${gram}`] = average(timings[type]);
+          });
+        });
+      }
+      
+      // Shift habits: lead/lag in ms, right-Shift share in percent
+      const modifiers = analyzeModifiers(events);
+      if (modifiers.shiftChords > 0) {
+        features['SH.lead'] = modifiers.avgLead;
+        if (modifiers.avgLag !== null) features['SH.lag'] = modifiers.avgLag;
+        if (modifiers.left + modifiers.right > 0) {
+          features['SH.right'] = modifiers.right / (modifiers.left + modifiers.right) * 100;
+        }
+      }
+      return features;
+    }
+    
+    // Profiles without raw events only carry digraph timings (Map or stored entries array)
+    for (const [digraph, timings] of new Map(digraphs)) {
+      LATENCY_TYPES.forEach(type => {
+        if (timings[type] && timings[type].length > 0) features[`${type}.${digraph}`] = average(timings[type]);
+      });
+    }
+    
+    return features;
+  }
+
+  function buildTemplate(samples, phrase) {
+    return {
+      phrase,
+      createdAt: Date.now(),
+      ...buildReference(samples)
+    };
+  }
+
+  function verifyAgainstTemplate(features, template) {
+    const result = compareFeatures(features, template, getSelectedMetric());
+    return {
+      distance: result.distance,
+      score: result.similarity * 100,
+      featureCount: result.featureCount
+    };
+  }
+
+  function getEnrollmentTarget() {
+    const n = parseInt(els.auth.enrollCount.value, 10);
+    return Number.isFinite(n) ? Math.min(10, Math.max(2, n)) : 5;
+  }
+
+  function getVerifyThreshold() {
+    const t = parseFloat(els.auth.threshold.value);
+    return Number.isFinite(t) ? Math.min(99, Math.max(1, t)) : 50;
+  }
+
+  function handleEnrollmentAttempt() {
+    if (!state.metrics.totalKeys) return;
+    
+    // The stored template stays sealed until unlock, and a new one could not be saved
+    if (isVaultLocked()) {
+      els.auth.status.textContent = 'Vaultがロックされています。Unlockしてから登録・認証してください。';
+      return;
+    }
+    
+    const phrase = els.phrase.value;
+    if (els.editor.value !== phrase) {
+      els.auth.status.textContent = '入力がフレーズと一致しません。もう一度入力してください。';
+      return;
+    }
+    
+    const features = extractFeatures(state.events, state.digraphs);
+    const enrollment = state.enrollment;
+    
+    // Verification phase
+    if (enrollment.template) {
+      if (enrollment.template.phrase !== phrase) {
+        els.auth.status.textContent = 'テンプレート登録時とフレーズが異なります。Reset Templateで再登録してください。';
+        return;
+      }
+      
+      const result = verifyAgainstTemplate(features, enrollment.template);
+      const accepted = result.score >= getVerifyThreshold();
+      els.auth.score.textContent = `${result.score.toFixed(1)}%`;
+      els.auth.decision.textContent = accepted ? 'ACCEPT' : 'REJECT';
+      els.auth.decision.classList.toggle('accept', accepted);
+      els.auth.decision.classList.toggle('reject', !accepted);
+      els.auth.status.textContent = `${result.featureCount}特徴量で比較（${DISTANCE_METRICS[getSelectedMetric()].label}距離: ${result.distance.toFixed(2)}）`;
+      return;
+    }
+    
+    // Enrollment phase
+    enrollment.samples.push(features);
+    const target = getEnrollmentTarget();
+    
+    if (enrollment.samples.length >= target) {
+      enrollment.template = buildTemplate(enrollment.samples, phrase);
+      enrollment.samples = [];
+      saveTemplate();
+      els.auth.status.textContent = '登録完了。次の入力から本人判定を行います。';
+    } else {
+      els.auth.status.textContent = `サンプル ${enrollment.samples.length}/${target} を記録しました。同じフレーズをもう一度入力してください。`;
+    }
+    
+    updateEnrollmentUI();
+  }
+
+  function resetEnrollment() {
+    state.enrollment.samples = [];
+    state.enrollment.template = null;
+    saveTemplate();
+    
+    els.auth.score.textContent = '—';
+    els.auth.decision.textContent = '—';
+    els.auth.decision.classList.remove('accept', 'reject');
+    els.auth.status.textContent = 'テンプレートを破棄しました。登録をやり直してください。';
+    updateEnrollmentUI();
+  }
+
+  function updateEnrollmentUI() {
+    const { template, samples } = state.enrollment;
+    const locked = isVaultLocked();
+    els.auth.btnReset.disabled = locked || (!template && samples.length === 0);
+    els.auth.enrollCount.disabled = locked || !!template;
+    els.auth.progress.textContent = template ?
+      `Enrolled (${template.sampleCount})` :
+      `${samples.length}/${getEnrollmentTarget()}`;
+  }
+
+  async function loadTemplate() {
+    try {
+      const saved = localStorage.getItem('keystroke_template');
+      if (!saved) return;
+      
+      let parsed = JSON.parse(saved);
+      if (isSealedRecord(parsed)) {
+        if (isVaultLocked()) return;
+        parsed = await openSealed(parsed);
+      }
+      // Only the phrase and raw samples are trusted; the statistics are rebuilt from them
+      const isFeatureSample = sample => sample && typeof sample === 'object' && !Array.isArray(sample) &&
+        Object.values(sample).every(Number.isFinite);
+      if (parsed &&
+          typeof parsed === 'object' &&
+          typeof parsed.phrase === 'string' &&
+          Array.isArray(parsed.samples) && parsed.samples.length > 0 &&
+          parsed.samples.every(isFeatureSample)) {
+        state.enrollment.template = {
+          ...buildTemplate(parsed.samples, parsed.phrase),
+          createdAt: Number.isFinite(parsed.createdAt) ? parsed.createdAt : Date.now()
+        };
+      } else {
+        console.warn('Invalid template format');
+      }
+    } catch (e) {
+      console.error('Failed to load template:', e);
+    }
+  }
+
+  async function saveTemplate() {
+    try {
+      if (state.enrollment.template) {
+        localStorage.setItem('keystroke_template', JSON.stringify(await sealForStorage(state.enrollment.template)));
+      } else {
+        localStorage.removeItem('keystroke_template');
+      }
+    } catch (e) {
+      console.error('Failed to save template:', e);
+    }
+  }
+
+  // ====== Continuous authentication (free text) ======
+
+  /**
+   * Free-text reference from one saved profile: mean, std and MAD over the
+   * individual occurrences of each key dwell (H.*) and digraph latency
+   * (DD.*, UD.*, ...), so a short window of arbitrary text can be scored
+   * against it. Feature names match extractFeatures().
+   */
+  function buildLiveReference(profile) {
+    const occurrences = new Map();
+    const add = (name, value) => {
+      if (!occurrences.has(name)) occurrences.set(name, []);
+      occurrences.get(name).push(value);
+    };
+    
+    const events = Array.isArray(profile.events) ? profile.events : [];
+    events.forEach(e => {
+      if (e.type === 'up' && typeof e.dwell === 'number') add(`H.${e.key}`, e.dwell);
+    });
+    const digraphs = events.length > 0 ? extractNgrams(events, 2) : new Map(profile.digraphs || []);
+    digraphs.forEach((timings, gram) => {
+      LATENCY_TYPES.forEach(type => {
+        (timings[type] || []).forEach(value => add(`${type}.${gram}`, value));
+      });
+    });
+    
+    const mean = {};
+    const std = {};
+    const mad = {};
+    occurrences.forEach((values, name) => {
+      if (values.length < CONFIG.liveAuth.minOccurrences) return;
+      mean[name] = average(values);
+      std[name] = standardDeviation(values);
+      mad[name] = average(values.map(v => Math.abs(v - mean[name])));
+    });
+    return { sampleCount: 1, samples: [], mean, std, mad };
+  }
+
+  // Events from the down of the n-th most recent keystroke onwards
+  function getRecentKeystrokeEvents(events, n) {
+    let downs = 0;
+    for (let i = events.length - 1; i >= 0; i--) {
+      if (events[i].type === 'down' && ++downs === n) return events.slice(i);
+    }
+    return events;
+  }
+
+  function getLiveAuthThreshold() {
+    const t = parseFloat(els.liveAuth.threshold.value);
+    return Number.isFinite(t) ? Math.min(99, Math.max(1, t)) : 40;
+  }
+
+  function refreshLiveAuthProfiles() {
+    const candidates = state.profiles.filter(profile =>
+      (Array.isArray(profile.events) && profile.events.length > 0) ||
+      (Array.isArray(profile.digraphs) && profile.digraphs.length > 0));
+    
+    setSelectOptions(els.liveAuth.profile, candidates.slice().reverse().map(profile => ({
+      label: `${profile.name} (${new Date(profile.timestamp).toLocaleDateString()})`,
+      value: String(profile.id)
+    })));
+    
+    // The reference is derived data; drop it with its profile (deleted, or vault locked)
+    if (state.liveAuth.profileId !== null && !candidates.some(profile => profile.id === state.liveAuth.profileId)) {
+      state.liveAuth.profileId = null;
+      state.liveAuth.reference = null;
+    }
+  }
+
+  function getLiveReference() {
+    const live = state.liveAuth;
+    const id = parseInt(els.liveAuth.profile.value, 10);
+    if (live.reference && live.profileId === id) return live.reference;
+    
+    const profile = state.profiles.find(candidate => candidate.id === id);
+    live.profileId = profile ? id : null;
+    live.reference = profile ? buildLiveReference(profile) : null;
+    return live.reference;
+  }
+
+  function resetLiveAuth() {
+    const live = state.liveAuth;
+    live.scores = [];
+    live.below = false;
+    els.liveAuth.alerts.innerHTML = '';
+    
+    const reference = getLiveReference();
+    if (!reference) {
+      els.liveAuth.status.textContent = '保存済みプロファイルを選ぶと、Free Text入力中に直近の打鍵を本人のものか継続的に照合します。';
+    } else {
+      els.liveAuth.status.textContent = `参照: ${Object.keys(reference.mean).length}特徴量（${CONFIG.liveAuth.minOccurrences}回以上出現したキー・Digraph）`;
+    }
+    renderLiveAuth();
+  }
+
+  // Scores the sliding window after each keyup; raises an alert when the score falls below the threshold
+  function updateLiveAuth() {
+    if (!state.running) return;
+    const reference = getLiveReference();
+    if (!reference) return;
+    
+    const live = state.liveAuth;
+    const windowKeys = Math.min(200, Math.max(10, getPositiveInt(els.liveAuth.window, CONFIG.liveAuth.windowKeys)));
+    const windowEvents = getRecentKeystrokeEvents(state.events, windowKeys);
+    // Scaled Manhattan: the reference carries no per-sample vectors for Mahalanobis
+    const result = compareFeatures(extractFeatures(windowEvents, []), reference, 'scaledManhattan');
+    
+    els.liveAuth.features.textContent = `${result.featureCount}`;
+    if (result.featureCount < CONFIG.liveAuth.minFeatures) {
+      els.liveAuth.status.textContent = `照合できる特徴量を収集中（${result.featureCount}/${CONFIG.liveAuth.minFeatures}）`;
+      return;
+    }
+    
+    const t = state.events[state.events.length - 1].t;
+    const score = result.similarity * 100;
+    live.scores.push({ t, score });
+    if (live.scores.length > CONFIG.liveAuth.historyLength) live.scores.shift();
+    
+    const threshold = getLiveAuthThreshold();
+    const below = score < threshold;
+    if (below && !live.below) {
+      const item = document.createElement('li');
+      item.textContent = `${(t / 1000).toFixed(1)}s: ${score.toFixed(1)}% < ${threshold}%（直近${windowKeys}打鍵）`;
+      els.liveAuth.alerts.prepend(item);
+      while (els.liveAuth.alerts.children.length > CONFIG.liveAuth.maxAlerts) {
+        els.liveAuth.alerts.lastElementChild.remove();
+      }
+    }
+    live.below = below;
+    els.liveAuth.status.textContent = `直近${windowKeys}打鍵を${result.featureCount}特徴量で照合（Scaled Manhattan距離: ${result.distance.toFixed(2)}）`;
+    renderLiveAuth();
+  }
+
+  function renderLiveAuth() {
+    const { scores } = state.liveAuth;
+    const threshold = getLiveAuthThreshold();
+    const latest = scores.length > 0 ? scores[scores.length - 1].score : null;
+    const v = els.liveAuth;
+    
+    v.meter.low = threshold;
+    v.meter.value = latest === null ? 0 : latest;
+    v.score.textContent = latest === null ? '—' : `${latest.toFixed(1)}%`;
+    v.decision.textContent = latest === null ? '—' : (latest >= threshold ? 'SAME TYPIST' : 'ALERT');
+    v.decision.classList.toggle('accept', latest !== null && latest >= threshold);
+    v.decision.classList.toggle('reject', latest !== null && latest < threshold);
+    if (latest === null) v.features.textContent = '—';
+    
+    renderLiveAuthChart(v.chart, scores, threshold);
+  }
+
+  function renderLiveAuthChart(container, scores, threshold) {
+    try {
+      const canvas = createCanvas(container, 140);
+      if (!canvas) return;
+      
+      const ctx = canvas.getContext('2d');
+      const colors = getThemeColors();
+      const isLight = document.documentElement.classList.contains('light-mode');
+      const width = canvas.width;
+      const height = canvas.height;
+      const padding = 30;
+      const plotW = width - 2 * padding;
+      const plotH = height - 2 * padding;
+      const yOf = score => height - padding - score / 100 * plotH;
+      
+      ctx.clearRect(0, 0, width, height);
+      ctx.strokeStyle = colors.border;
+      ctx.lineWidth = 1;
+      ctx.strokeRect(padding, padding, plotW, plotH);
+      
+      // Threshold
+      ctx.strokeStyle = isLight ? '#DC2626' : '#FCA5A5';
+      ctx.setLineDash([6, 4]);
+      ctx.beginPath();
+      ctx.moveTo(padding, yOf(threshold));
+      ctx.lineTo(width - padding, yOf(threshold));
+      ctx.stroke();
+      ctx.setLineDash([]);
+      
+      ctx.font = '9px monospace';
+      ctx.fillStyle = colors.muted;
+      ctx.textAlign = 'right';
+      ctx.fillText('100%', padding - 4, padding + 3);
+      ctx.fillText('0%', padding - 4, height - padding + 3);
+      ctx.fillText(`${threshold}%`, width - padding - 4, yOf(threshold) - 4);
+      
+      if (scores.length === 0) {
+        ctx.textAlign = 'center';
+        ctx.fillText('Waiting for keystrokes', width / 2, height / 2);
+        ctx.textAlign = 'left';
+        return;
+      }
+      
+      const xOf = i => padding + (scores.length > 1 ? i / (scores.length - 1) : 0.5) * plotW;
+      ctx.strokeStyle = colors.primary;
+      ctx.lineWidth = 2;
+      ctx.beginPath();
+      scores.forEach(({ score }, i) => {
+        if (i === 0) ctx.moveTo(xOf(i), yOf(score));
+        else ctx.lineTo(xOf(i), yOf(score));
+      });
+      ctx.stroke();
+      
+      // Windows under the threshold
+      ctx.fillStyle = isLight ? '#DC2626' : '#FCA5A5';
+      scores.forEach(({ score }, i) => {
+        if (score >= threshold) return;
+        ctx.beginPath();
+        ctx.arc(xOf(i), yOf(score), 3, 0, 2 * Math.PI);
+        ctx.fill();
+      });
+      
+      ctx.fillStyle = colors.muted;
+      ctx.textAlign = 'center';
+      ctx.fillText(`${(scores[0].t / 1000).toFixed(0)}s`, xOf(0), height - padding + 14);
+      ctx.fillText(`${(scores[scores.length - 1].t / 1000).toFixed(0)}s`, xOf(scores.length - 1), height - padding + 14);
+      ctx.textAlign = 'left';
+    } catch (error) {
+      console.error('Error in renderLiveAuthChart:', error);
+    }
+  }
+
+  // Sanitize and validate profile names, subject IDs and tags
+  function sanitizeProfileName(raw) {
+    return raw.trim().slice(0, 50).replace(/[<>"/\\&]/g, '');
+  }
+
+  async function saveProfile() {
+    if (!state.metrics.totalKeys) return;
+    if (state.viewedProfile && state.viewedProfile.id !== undefined) return;
     
     const rawName = prompt('Enter profile name:');
     if (!rawName) return;
     
-    // Sanitize and validate profile name
-    const name = rawName.trim().slice(0, 50).replace(/[<>"/\\&]/g, '');
+    const name = sanitizeProfileName(rawName);
     if (name.length === 0) {
       alert('Invalid profile name. Please use alphanumeric characters only.');
       return;
     }
     
+    // A viewed synthetic session keeps its own phrase and provenance
+    const viewed = state.viewedProfile;
+    const synthetic = viewed && viewed.source === 'synthetic' ? viewed : null;
     const profile = {
       name,
       timestamp: Date.now(),
       metrics: state.metrics,
       events: state.events,
       digraphs: Array.from(state.digraphs.entries()),
-      text: els.editor.value
+      text: els.editor.value,
+      phrase: synthetic ? synthetic.phrase : els.phrase.value
     };
+    if (synthetic) {
+      profile.source = synthetic.source;
+      profile.tags = Array.isArray(synthetic.tags) ? [...synthetic.tags] : ['synthetic'];
+    }
     
-    state.profiles.push(profile);
-    saveProfiles();
-    
-    alert(`Profile "${name}" saved!`);
+    try {
+      await addProfiles([profile]);
+      alert(`Profile "${name}" saved!`);
+    } catch (err) {
+      alert('Failed to save profile: ' + describeStorageError(err));
+    }
     
     // Update UI to enable Export/Compare buttons
     updateUI();
   }
 
-  function loadProfiles() {
-    try {
-      const saved = localStorage.getItem('keystroke_profiles');
-      if (saved) {
-        const parsed = JSON.parse(saved);
-        // Validate the structure to prevent injection
-        if (Array.isArray(parsed)) {
-          state.profiles = parsed.filter(profile => 
-            profile && 
-            typeof profile === 'object' && 
-            typeof profile.name === 'string' && 
-            profile.name.length <= 100 && // Limit name length
-            profile.timestamp &&
-            profile.metrics &&
-            typeof profile.metrics === 'object'
-          ).slice(0, 50); // Limit to 50 profiles max
-        } else {
-          console.warn('Invalid profiles format');
-          state.profiles = [];
-        }
+  // ====== Profile storage (IndexedDB) ======
+
+  function isValidProfile(profile) {
+    return profile && 
+      typeof profile === 'object' && 
+      typeof profile.name === 'string' && 
+      profile.name.length <= 100 && // Limit name length
+      profile.timestamp &&
+      profile.metrics &&
+      typeof profile.metrics === 'object';
+  }
+
+  // Promise wrapper for a single IDBRequest
+  function idbRequest(request) {
+    return new Promise((resolve, reject) => {
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  function openProfileDb() {
+    const { dbName, dbVersion, store } = CONFIG.storage;
+    return new Promise((resolve, reject) => {
+      if (!window.indexedDB) {
+        reject(new Error('IndexedDB is not available'));
+        return;
       }
-    } catch (e) {
-      console.error('Failed to load profiles:', e);
-      state.profiles = [];
+      const request = indexedDB.open(dbName, dbVersion);
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        if (!db.objectStoreNames.contains(store)) {
+          const profiles = db.createObjectStore(store, { keyPath: 'id', autoIncrement: true });
+          profiles.createIndex('timestamp', 'timestamp');
+        }
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  /**
+   * Runs work(store) in one readwrite transaction and resolves with its
+   * return value once the transaction commits.
+   */
+  function profileTransaction(work) {
+    const storeName = CONFIG.storage.store;
+    return new Promise((resolve, reject) => {
+      const tx = state.profileDb.transaction(storeName, 'readwrite');
+      const result = work(tx.objectStore(storeName));
+      tx.oncomplete = () => resolve(result);
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error || new Error('Transaction aborted'));
+    });
+  }
+
+  // Adds one record per profile; resolves with the generated ids
+  function storeProfiles(records) {
+    return profileTransaction(store => {
+      const ids = [];
+      records.forEach((record, index) => {
+        store.add(record).onsuccess = event => {
+          ids[index] = event.target.result;
+        };
+      });
+      return ids;
+    });
+  }
+
+  // Fallback persistence: the whole list as one localStorage string
+  async function writeLegacyProfiles(profiles) {
+    localStorage.setItem(CONFIG.storage.legacyKey, JSON.stringify(await toStoredRecords(profiles)));
+  }
+
+  async function readStoredProfiles() {
+    const storeName = CONFIG.storage.store;
+    const tx = state.profileDb.transaction(storeName, 'readonly');
+    const records = await idbRequest(tx.objectStore(storeName).getAll());
+    // Sealed records carry no timestamp, so sort only once they are opened
+    return (await fromStoredRecords(records))
+      .filter(isValidProfile)
+      .sort((a, b) => a.timestamp - b.timestamp);
+  }
+
+  // Legacy localStorage array (plain or sealed records); null when there is nothing stored
+  function readLegacyProfiles() {
+    const saved = localStorage.getItem(CONFIG.storage.legacyKey);
+    if (!saved) return null;
+    const parsed = JSON.parse(saved);
+    // Validate the structure to prevent injection
+    if (!Array.isArray(parsed)) {
+      console.warn('Invalid profiles format');
+      return [];
+    }
+    return parsed.filter(record => isSealedRecord(record) || isValidProfile(record));
+  }
+
+  // One-time copy of keystroke_profiles into IndexedDB; the old key is removed only after the commit
+  async function migrateLegacyProfiles() {
+    const legacy = readLegacyProfiles();
+    if (legacy === null) return;
+    if (legacy.length > 0) {
+      await storeProfiles(legacy.map(({ id, ...profile }) => profile));
     }
+    localStorage.removeItem(CONFIG.storage.legacyKey);
   }
 
-  function saveProfiles() {
+  async function loadProfiles() {
     try {
-      localStorage.setItem('keystroke_profiles', JSON.stringify(state.profiles));
+      // Reused on unlock, which reloads the profiles
+      state.profileDb = state.profileDb || await openProfileDb();
+      await migrateLegacyProfiles();
+      if (isVaultLocked()) {
+        state.profiles = [];
+        updateStorageStatus();
+        return;
+      }
+      state.profiles = await readStoredProfiles();
     } catch (e) {
-      console.error('Failed to save profiles:', e);
+      // Private browsing or file:// restrictions: keep working from localStorage
+      console.error('Failed to open profile database, using localStorage:', e);
+      state.profileDb = null;
+      try {
+        // Local ids so the manager can address profiles the same way as IndexedDB records
+        const records = isVaultLocked() ? [] : await fromStoredRecords(readLegacyProfiles() || []);
+        state.profiles = records.filter(isValidProfile).map((profile, index) => ({ ...profile, id: index + 1 }));
+      } catch (err) {
+        console.error('Failed to load profiles:', err);
+        state.profiles = [];
+      }
+    }
+    // A failed write leaves the uids in memory only; the storage backend stays as chosen
+    try {
+      await backfillProfileUids();
+    } catch (err) {
+      console.error('Failed to store profile uids:', err);
     }
+    updateStorageStatus();
   }
 
-  function exportJSON() {
-    if (state.profiles.length === 0) return;
-    
-    const dataStr = JSON.stringify(state.profiles, null, 2);
-    const dataUri = 'data:application/json;charset=utf-8,' + encodeURIComponent(dataStr);
+  // Profiles saved before uids existed get one so exports can be deduplicated
+  async function backfillProfileUids() {
+    const missingUid = state.profiles.filter(profile => !profile.uid);
+    if (missingUid.length === 0) return;
+    missingUid.forEach(profile => {
+      profile.uid = createProfileUid();
+    });
+    await updateProfiles(missingUid);
+  }
+
+  /**
+   * Persists new profiles and appends them to state.profiles.
+   * Rejects (e.g. QuotaExceededError) without touching state so callers can report it.
+   */
+  async function addProfiles(profiles) {
+    // Ids from exported files would collide with local records; uids travel with the profile
+    const records = profiles.map(({ id, ...profile }) => ({ ...profile, uid: profile.uid || createProfileUid() }));
+    
+    if (state.profileDb) {
+      const ids = await storeProfiles(await toStoredRecords(records));
+      records.forEach((record, index) => {
+        record.id = ids[index];
+      });
+    } else {
+      let nextId = state.profiles.reduce((max, profile) => Math.max(max, profile.id || 0), 0) + 1;
+      records.forEach(record => {
+        record.id = nextId++;
+      });
+      await writeLegacyProfiles([...state.profiles, ...records]);
+    }
     
-    const link = document.createElement('a');
-    link.setAttribute('href', dataUri);
-    link.setAttribute('download', 'keystroke_profiles.json');
-    link.click();
+    state.profiles.push(...records);
+    updateStorageStatus();
   }
 
-  function importJSON() {
-    els.fileInput.click();
+  /**
+   * Persists edited profiles, matched to state.profiles by id. They may be edited
+   * copies; state.profiles itself is left for the caller to update once this resolves.
+   */
+  async function updateProfiles(profiles) {
+    if (state.profileDb) {
+      // Encrypt before opening the transaction; it would auto-commit while awaiting
+      const records = await toStoredRecords(profiles);
+      await profileTransaction(store => records.forEach(record => store.put(record)));
+    } else {
+      const edited = new Map(profiles.map(profile => [profile.id, profile]));
+      await writeLegacyProfiles(state.profiles.map(profile => edited.get(profile.id) || profile));
+    }
   }
 
-  function handleFileImport(e) {
-    const file = e.target.files[0];
-    if (!file) return;
+  async function removeProfiles(ids) {
+    const remaining = state.profiles.filter(profile => !ids.has(profile.id));
+    if (state.profileDb) {
+      await profileTransaction(store => ids.forEach(id => store.delete(id)));
+    } else {
+      await writeLegacyProfiles(remaining);
+    }
+    state.profiles = remaining;
+    ids.forEach(id => state.selectedProfiles.delete(id));
+    if (state.comparison && state.comparison.profiles.some(profile => ids.has(profile.id))) {
+      closeComparison();
+    }
+    updateStorageStatus();
+  }
+
+  // Stable identifier used to dedupe profiles across exports and imports
+  function createProfileUid() {
+    if (window.crypto && typeof crypto.randomUUID === 'function') {
+      return crypto.randomUUID();
+    }
+    return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 12)}`;
+  }
+
+  function describeStorageError(err) {
+    if (err && err.name === 'QuotaExceededError') {
+      return 'browser storage quota exceeded. Export and delete old profiles to free space.';
+    }
+    return err && err.message ? err.message : String(err);
+  }
+
+  function formatBytes(bytes) {
+    if (bytes < 1024) return `${bytes} B`;
+    if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+    if (bytes < 1024 * 1024 * 1024) return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+    return `${(bytes / 1024 / 1024 / 1024).toFixed(2)} GB`;
+  }
+
+  async function updateStorageStatus() {
+    const status = els.profileList.storage;
+    const backend = state.profileDb ? 'IndexedDB' : 'localStorage';
+    let text = `${state.profiles.length} profiles (${backend})`;
+    if (state.vault.config) {
+      text += state.vault.key ? ' — 🔓 Vault: 解錠中' : ' — 🔒 Vault: 施錠中（Unlockで表示）';
+    }
+    status.classList.remove('warning');
     
-    const reader = new FileReader();
-    reader.onload = function(event) {
-      try {
-        const imported = JSON.parse(event.target.result);
-        if (Array.isArray(imported)) {
-          state.profiles = [...state.profiles, ...imported];
-          saveProfiles();
-          alert(`Imported ${imported.length} profiles!`);
-          updateUI();
-        } else {
-          alert('Invalid profile format');
+    try {
+      if (navigator.storage && navigator.storage.estimate) {
+        const { usage, quota } = await navigator.storage.estimate();
+        if (quota) {
+          const ratio = usage / quota;
+          text += ` — 使用量 ${formatBytes(usage)} / ${formatBytes(quota)} (${(ratio * 100).toFixed(1)}%)`;
+          if (ratio > 0.8) {
+            status.classList.add('warning');
+            text += ' 容量が残りわずかです。古いプロファイルをExportして削除してください。';
+          }
         }
-      } catch (err) {
-        alert('Failed to import profiles: ' + err.message);
       }
-    };
-    reader.readAsText(file);
-    
-    // Reset file input
-    e.target.value = '';
+    } catch (error) {
+      console.warn('Failed to estimate storage usage:', error);
+    }
+    status.textContent = text;
   }
 
-  function compareProfiles() {
-    if (state.profiles.length < 2) return;
-    
-    // Simple comparison: show similarity scores
-    let comparison = 'Profile Comparison\n\n';
-    
-    for (let i = 0; i < state.profiles.length - 1; i++) {
-      for (let j = i + 1; j < state.profiles.length; j++) {
-        const p1 = state.profiles[i];
-        const p2 = state.profiles[j];
-        
-        const similarity = calculateSimilarity(p1.metrics, p2.metrics);
-        comparison += `${p1.name} vs ${p2.name}: ${(similarity * 100).toFixed(1)}% similar\n`;
-      }
+  // ====== Encrypted vault ======
+
+  const VAULT_CHECK = 'keypress-pattern-analyzer-vault';
+
+  function requireWebCrypto() {
+    if (!window.crypto || !crypto.subtle) {
+      throw new Error('Web Crypto is not available (serve the page over https or localhost)');
     }
-    
-    alert(comparison);
   }
 
-  function calculateSimilarity(m1, m2) {
-    // Simple similarity based on timing metrics
-    const features1 = [m1.avgDwell, m1.avgFlight, m1.avgDD];
-    const features2 = [m2.avgDwell, m2.avgFlight, m2.avgDD];
-    
-    // Cosine similarity
-    const dotProduct = features1.reduce((sum, val, i) => sum + val * features2[i], 0);
-    const mag1 = Math.sqrt(features1.reduce((sum, val) => sum + val * val, 0));
-    const mag2 = Math.sqrt(features2.reduce((sum, val) => sum + val * val, 0));
-    
-    return dotProduct / (mag1 * mag2);
+  // Chunked so large profiles do not overflow the argument limit of fromCharCode
+  function bytesToBase64(bytes) {
+    let binary = '';
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+      binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+    }
+    return btoa(binary);
+  }
+
+  function base64ToBytes(text) {
+    const binary = atob(text);
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) {
+      bytes[i] = binary.charCodeAt(i);
+    }
+    return bytes;
+  }
+
+  async function deriveVaultKey(passphrase, salt, iterations) {
+    requireWebCrypto();
+    const material = await crypto.subtle.importKey('raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveKey']);
+    return crypto.subtle.deriveKey(
+      { name: 'PBKDF2', hash: 'SHA-256', salt, iterations },
+      material,
+      { name: 'AES-GCM', length: 256 },
+      false,
+      ['encrypt', 'decrypt']
+    );
+  }
+
+  // AES-GCM with a fresh 96-bit IV per value; returns {iv, data} as base64
+  async function encryptJson(key, value) {
+    const iv = crypto.getRandomValues(new Uint8Array(12));
+    const data = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, new TextEncoder().encode(JSON.stringify(value)));
+    return { iv: bytesToBase64(iv), data: bytesToBase64(new Uint8Array(data)) };
+  }
+
+  // Rejects when the key is wrong or the data was tampered with (GCM tag mismatch)
+  async function decryptJson(key, sealed) {
+    const plain = await crypto.subtle.decrypt({ name: 'AES-GCM', iv: base64ToBytes(sealed.iv) }, key, base64ToBytes(sealed.data));
+    return JSON.parse(new TextDecoder().decode(plain));
+  }
+
+  async function decryptWithPassphrase(key, sealed) {
+    try {
+      return await decryptJson(key, sealed);
+    } catch (err) {
+      throw new Error('Wrong passphrase');
+    }
+  }
+
+  function isSealedRecord(record) {
+    return !!record && typeof record === 'object' && !!record.vault &&
+      typeof record.vault.iv === 'string' && typeof record.vault.data === 'string';
+  }
+
+  function isVaultLocked() {
+    return !!state.vault.config && !state.vault.key;
+  }
+
+  function requireVaultKey() {
+    if (!state.vault.key) throw new Error('the vault is locked. Unlock it first.');
+    return state.vault.key;
+  }
+
+  // {vault: {iv, data}} while the vault is enabled, the value itself otherwise
+  async function sealForStorage(value) {
+    if (!state.vault.config) return value;
+    return { vault: await encryptJson(requireVaultKey(), value) };
+  }
+
+  function openSealed(record) {
+    return decryptJson(requireVaultKey(), record.vault);
+  }
+
+  // Profiles as they are written to storage; the record id stays in clear as the IndexedDB key
+  function toStoredRecords(profiles) {
+    return Promise.all(profiles.map(async ({ id, ...profile }) => {
+      const record = await sealForStorage(profile);
+      return id === undefined ? record : { ...record, id };
+    }));
+  }
+
+  // Plain records pass through, so data written before the vault was enabled still loads
+  function fromStoredRecords(records) {
+    return Promise.all(records.map(async record => {
+      if (!isSealedRecord(record)) return record;
+      try {
+        const profile = await openSealed(record);
+        return record.id === undefined ? profile : { ...profile, id: record.id };
+      } catch (err) {
+        console.error('Failed to decrypt stored profile:', err);
+        return null;
+      }
+    }));
+  }
+
+  function loadVaultConfig() {
+    try {
+      const saved = localStorage.getItem(CONFIG.vault.storageKey);
+      if (!saved) return;
+      const parsed = JSON.parse(saved);
+      if (parsed && typeof parsed.salt === 'string' && Number.isInteger(parsed.iterations) &&
+          parsed.check && typeof parsed.check.iv === 'string' && typeof parsed.check.data === 'string') {
+        state.vault.config = parsed;
+      } else {
+        console.warn('Invalid vault format');
+      }
+    } catch (e) {
+      console.error('Failed to load vault settings:', e);
+    }
+  }
+
+  function updateVaultUI() {
+    const { config, key } = state.vault;
+    els.vault.btnLock.hidden = !config;
+    els.vault.btnLock.textContent = key ? 'Lock' : 'Unlock';
+    els.vault.btnSetup.textContent = config ? 'Disable Vault' : 'Enable Vault';
+    els.vault.btnSetup.disabled = state.running || (!!config && !key);
+  }
+
+  /**
+   * Opens the passphrase dialog. submit(passphrase, confirmation) runs on each
+   * attempt: its result resolves the promise, while a thrown error is shown in
+   * the dialog so the user can retry. Resolves with null when cancelled.
+   */
+  function requestPassphrase({ title, message, submitLabel = 'Unlock', confirm = false, submit }) {
+    finishPassphrase(null);
+    const v = els.vault;
+    return new Promise(resolve => {
+      v.title.textContent = title;
+      v.message.textContent = message;
+      v.btnSubmit.textContent = submitLabel;
+      v.passphrase.value = '';
+      v.passphrase.autocomplete = confirm ? 'new-password' : 'current-password';
+      v.confirm.value = '';
+      v.confirmRow.hidden = !confirm;
+      v.error.textContent = '';
+      state.vault.prompt = { resolve, submit };
+      v.dialog.showModal();
+      v.passphrase.focus();
+    });
+  }
+
+  async function submitPassphrase(e) {
+    e.preventDefault();
+    const prompt = state.vault.prompt;
+    if (!prompt) return;
+    const v = els.vault;
+    v.btnSubmit.disabled = true;
+    v.error.textContent = '';
+    try {
+      const result = await prompt.submit(v.passphrase.value, v.confirm.value);
+      // The dialog may have been cancelled while the key was being derived
+      if (state.vault.prompt === prompt) finishPassphrase(result);
+    } catch (err) {
+      v.error.textContent = err.message;
+    } finally {
+      v.btnSubmit.disabled = false;
+    }
+  }
+
+  function finishPassphrase(result) {
+    const prompt = state.vault.prompt;
+    state.vault.prompt = null;
+    els.vault.passphrase.value = '';
+    els.vault.confirm.value = '';
+    if (els.vault.dialog.open) els.vault.dialog.close();
+    if (prompt) prompt.resolve(result);
+  }
+
+  async function unlockVault() {
+    const config = state.vault.config;
+    if (!config || state.vault.key) return;
+    
+    const key = await requestPassphrase({
+      title: 'Unlock Vault',
+      message: '保存済みプロファイルと認証テンプレートは暗号化されています。パスフレーズを入力してください。',
+      submit: async passphrase => {
+        const candidate = await deriveVaultKey(passphrase, base64ToBytes(config.salt), config.iterations);
+        await decryptWithPassphrase(candidate, config.check);
+        return candidate;
+      }
+    });
+    if (!key) return;
+    
+    state.vault.key = key;
+    touchVault();
+    await loadProfiles();
+    await loadTemplate();
+    els.auth.status.textContent = state.enrollment.template ?
+      '保存済みテンプレートで本人判定を行います。' :
+      'Startを押してフレーズを入力し、Stopで1回分の登録サンプルとして記録されます。';
+    updateUI();
+    updateEnrollmentUI();
+  }
+
+  // Drops the key and every decrypted profile held in memory
+  function lockVault() {
+    if (!state.vault.key) return;
+    state.vault.key = null;
+    state.profiles = [];
+    state.selectedProfiles.clear();
+    state.enrollment.samples = [];
+    state.enrollment.template = null;
+    clearEvaluation();
+    if (state.comparison) closeComparison();
+    if (state.dtw) clearDtwOverlay();
+    if (state.viewedProfile) {
+      clearAll();
+    } else {
+      updateUI();
+    }
+    if (state.sideBySide) renderSideBySide();
+    els.auth.status.textContent = 'Vaultがロックされています。Unlockしてから登録・認証してください。';
+    updateEnrollmentUI();
+    updateStorageStatus();
+  }
+
+  function touchVault() {
+    state.vault.lastActivity = Date.now();
+  }
+
+  function checkVaultIdle() {
+    if (state.vault.key && Date.now() - state.vault.lastActivity > CONFIG.vault.idleMinutes * 60000) {
+      lockVault();
+    }
+  }
+
+  // Rewrites every stored profile and the template in the current vault mode
+  async function rewriteStoredData() {
+    if (state.profiles.length > 0) await updateProfiles(state.profiles);
+    await saveTemplate();
+  }
+
+  async function enableVault() {
+    try {
+      requireWebCrypto();
+    } catch (err) {
+      alert('Cannot enable the vault: ' + err.message);
+      return;
+    }
+    
+    const { iterations, minPassphraseLength } = CONFIG.vault;
+    const result = await requestPassphrase({
+      title: 'Enable Vault',
+      message: `保存済みプロファイル・認証テンプレート・JSONエクスポートをこのパスフレーズで暗号化します（${minPassphraseLength}文字以上）。忘れると復元できません。`,
+      submitLabel: 'Enable',
+      confirm: true,
+      submit: async (passphrase, confirmation) => {
+        if (passphrase.length < minPassphraseLength) {
+          throw new Error(`Use at least ${minPassphraseLength} characters`);
+        }
+        if (passphrase !== confirmation) throw new Error('Passphrases do not match');
+        const salt = crypto.getRandomValues(new Uint8Array(16));
+        const key = await deriveVaultKey(passphrase, salt, iterations);
+        const check = await encryptJson(key, VAULT_CHECK);
+        return { key, config: { version: 1, iterations, salt: bytesToBase64(salt), check } };
+      }
+    });
+    if (!result) return;
+    
+    try {
+      // Settings first: sealed records without them could never be opened again
+      localStorage.setItem(CONFIG.vault.storageKey, JSON.stringify(result.config));
+      state.vault.config = result.config;
+      state.vault.key = result.key;
+      touchVault();
+      await rewriteStoredData();
+    } catch (err) {
+      alert('Failed to encrypt stored profiles: ' + describeStorageError(err));
+    }
+    updateUI();
+    updateStorageStatus();
+  }
+
+  async function disableVault() {
+    if (!state.vault.key) return;
+    if (!confirm('Decrypt all stored profiles and turn the vault off?')) return;
+    
+    const { config, key } = state.vault;
+    state.vault.config = null;
+    try {
+      await rewriteStoredData();
+    } catch (err) {
+      state.vault.config = config;
+      alert('Failed to decrypt stored profiles: ' + describeStorageError(err));
+      return;
+    }
+    localStorage.removeItem(CONFIG.vault.storageKey);
+    if (state.vault.key === key) state.vault.key = null;
+    updateUI();
+    updateStorageStatus();
+  }
+
+  // JSON export wrapped in AES-GCM under the vault key; the KDF parameters travel with it
+  async function createEncryptedExport(envelope) {
+    const { iv, data } = await encryptJson(requireVaultKey(), envelope);
+    const { salt, iterations } = state.vault.config;
+    return {
+      format: CONFIG.vault.encryptedFormat,
+      formatVersion: 1,
+      kdf: { name: 'PBKDF2', hash: 'SHA-256', salt, iterations },
+      cipher: { name: 'AES-GCM', iv },
+      data
+    };
+  }
+
+  function isEncryptedExport(data) {
+    return !!data && typeof data === 'object' && data.format === CONFIG.vault.encryptedFormat;
+  }
+
+  /**
+   * Plain export envelope inside an encrypted file, or null if the user
+   * cancels. Tries the open vault first, then asks for the file's passphrase.
+   */
+  async function decryptExportFile(file) {
+    const { kdf, cipher } = file;
+    if (!kdf || kdf.name !== 'PBKDF2' || kdf.hash !== 'SHA-256' || typeof kdf.salt !== 'string' ||
+        !Number.isInteger(kdf.iterations) || kdf.iterations < 1 || kdf.iterations > 10000000 ||
+        !cipher || cipher.name !== 'AES-GCM' || typeof cipher.iv !== 'string' || typeof file.data !== 'string') {
+      throw new Error('Malformed encrypted export');
+    }
+    requireWebCrypto();
+    const sealed = { iv: cipher.iv, data: file.data };
+    
+    const config = state.vault.config;
+    if (state.vault.key && config.salt === kdf.salt && config.iterations === kdf.iterations) {
+      try {
+        return await decryptJson(state.vault.key, sealed);
+      } catch (err) {
+        // Same salt but a different passphrase since; fall through and ask
+      }
+    }
+    
+    return requestPassphrase({
+      title: 'Encrypted Export',
+      message: 'このファイルは暗号化されています。エクスポート時のVaultパスフレーズを入力してください。',
+      submitLabel: 'Decrypt',
+      submit: async passphrase => {
+        const key = await deriveVaultKey(passphrase, base64ToBytes(kdf.salt), kdf.iterations);
+        return decryptWithPassphrase(key, sealed);
+      }
+    });
+  }
+
+  function getProfileTags(profile) {
+    return Array.isArray(profile.tags) ? profile.tags.filter(tag => typeof tag === 'string') : [];
+  }
+
+  // Profiles matching the manager filter (name, subject or tag), newest first
+  function getFilteredProfiles() {
+    const query = els.profileList.filter.value.trim().toLowerCase();
+    const newestFirst = state.profiles.slice().reverse();
+    if (!query) return newestFirst;
+    return newestFirst.filter(profile =>
+      profile.name.toLowerCase().includes(query) ||
+      getProfileSubject(profile).toLowerCase().includes(query) ||
+      getProfileTags(profile).some(tag => tag.toLowerCase().includes(query))
+    );
+  }
+
+  function getSelectedProfiles() {
+    return state.profiles.filter(profile => state.selectedProfiles.has(profile.id));
+  }
+
+  function getProfilePageCount(count) {
+    return Math.max(1, Math.ceil(count / CONFIG.storage.pageSize));
+  }
+
+  function changeProfilePage(delta) {
+    const pageCount = getProfilePageCount(getFilteredProfiles().length);
+    state.profilePage = Math.min(pageCount - 1, Math.max(0, state.profilePage + delta));
+    renderProfileList();
+  }
+
+  function getProfilePage() {
+    const pageSize = CONFIG.storage.pageSize;
+    const filtered = getFilteredProfiles();
+    const pageCount = getProfilePageCount(filtered.length);
+    state.profilePage = Math.min(state.profilePage, pageCount - 1);
+    return {
+      profiles: filtered.slice(state.profilePage * pageSize, (state.profilePage + 1) * pageSize),
+      pageCount
+    };
+  }
+
+  function renderProfileList() {
+    const list = els.profileList;
+    const { profiles: page, pageCount } = getProfilePage();
+    
+    list.tbody.innerHTML = '';
+    if (page.length === 0) {
+      const message = state.profiles.length === 0 ? 'No saved profiles' : 'No matching profiles';
+      list.tbody.innerHTML = `<tr><td colspan="9" class="muted center">${message}</td></tr>`;
+    }
+    page.forEach(profile => {
+      const row = list.tbody.insertRow();
+      row.dataset.id = String(profile.id);
+      
+      const checkbox = document.createElement('input');
+      checkbox.type = 'checkbox';
+      checkbox.checked = state.selectedProfiles.has(profile.id);
+      checkbox.setAttribute('aria-label', `Select ${profile.name}`);
+      row.insertCell().appendChild(checkbox);
+      
+      // textContent keeps names like "<b>" from being parsed as markup
+      [
+        profile.name,
+        getProfileSubject(profile),
+        getProfileTags(profile).join(', ') || '—',
+        new Date(profile.timestamp).toLocaleString(),
+        String(profile.metrics.totalKeys || 0),
+        Number.isFinite(profile.metrics.wpm) ? String(profile.metrics.wpm) : '—',
+        typeof profile.phrase === 'string' && profile.phrase ? profile.phrase : '—'
+      ].forEach((text, index) => {
+        const cell = row.insertCell();
+        cell.textContent = text;
+        if (index === 6) {
+          cell.className = 'profile-phrase';
+          cell.title = text;
+        }
+      });
+      
+      const actions = row.insertCell();
+      actions.className = 'profile-actions';
+      [['load', 'Load'], ['rename', 'Rename'], ['delete', 'Delete']].forEach(([action, label]) => {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.dataset.action = action;
+        button.textContent = label;
+        button.disabled = state.running || state.replay.playing;
+        actions.appendChild(button);
+      });
+    });
+    
+    list.pageInfo.textContent = `Page ${state.profilePage + 1} / ${pageCount}`;
+    list.btnPrev.disabled = state.profilePage === 0;
+    list.btnNext.disabled = state.profilePage >= pageCount - 1;
+    list.selectPage.checked = page.length > 0 && page.every(profile => state.selectedProfiles.has(profile.id));
+    
+    const selected = state.selectedProfiles.size;
+    list.selection.textContent = `${selected} selected`;
+    list.btnSubject.disabled = selected === 0;
+    list.btnTags.disabled = selected === 0;
+    list.btnDelete.disabled = selected === 0 || state.running;
+  }
+
+  function findProfileRow(target) {
+    const row = target.closest('tr');
+    if (!row || !row.dataset.id) return null;
+    return state.profiles.find(profile => String(profile.id) === row.dataset.id) || null;
+  }
+
+  function handleProfileListChange(e) {
+    if (e.target.type !== 'checkbox') return;
+    const profile = findProfileRow(e.target);
+    if (!profile) return;
+    
+    if (e.target.checked) state.selectedProfiles.add(profile.id);
+    else state.selectedProfiles.delete(profile.id);
+    updateUI();
+  }
+
+  function handleProfileListClick(e) {
+    const button = e.target.closest('button[data-action]');
+    if (!button) return;
+    const profile = findProfileRow(button);
+    if (!profile) return;
+    
+    if (button.dataset.action === 'load') {
+      loadProfileIntoView(profile);
+    } else if (button.dataset.action === 'rename') {
+      renameProfile(profile);
+    } else if (button.dataset.action === 'delete') {
+      deleteProfiles([profile]);
+    }
+  }
+
+  function toggleProfilePageSelection() {
+    const { profiles: page } = getProfilePage();
+    page.forEach(profile => {
+      if (els.profileList.selectPage.checked) state.selectedProfiles.add(profile.id);
+      else state.selectedProfiles.delete(profile.id);
+    });
+    updateUI();
+  }
+
+  async function renameProfile(profile) {
+    const rawName = prompt('Enter new profile name:', profile.name);
+    if (rawName === null) return;
+    
+    const name = sanitizeProfileName(rawName);
+    if (name.length === 0) {
+      alert('Invalid profile name. Please use alphanumeric characters only.');
+      return;
+    }
+    
+    const previous = profile.name;
+    profile.name = name;
+    try {
+      await updateProfiles([profile]);
+    } catch (err) {
+      profile.name = previous;
+      alert('Failed to rename profile: ' + describeStorageError(err));
+    }
+    updateUI();
+  }
+
+  // Applies edit(profile) to every selected profile, rolling back on a failed write
+  async function editSelectedProfiles(edit) {
+    const selected = getSelectedProfiles();
+    const backups = selected.map(profile => ({ subject: profile.subject, tags: profile.tags }));
+    selected.forEach(edit);
+    try {
+      await updateProfiles(selected);
+    } catch (err) {
+      selected.forEach((profile, index) => Object.assign(profile, backups[index]));
+      alert('Failed to update profiles: ' + describeStorageError(err));
+    }
+    updateUI();
+  }
+
+  function setSelectedProfilesSubject() {
+    const raw = prompt('Subject ID for the selected profiles (empty to use the profile name):', '');
+    if (raw === null) return;
+    
+    const subject = sanitizeProfileName(raw);
+    editSelectedProfiles(profile => {
+      if (subject) profile.subject = subject;
+      else delete profile.subject;
+    });
+  }
+
+  function setSelectedProfilesTags() {
+    const raw = prompt('Tags for the selected profiles (comma separated, empty to clear):', '');
+    if (raw === null) return;
+    
+    const tags = Array.from(new Set(raw.split(',').map(sanitizeProfileName).filter(tag => tag.length > 0))).slice(0, 20);
+    editSelectedProfiles(profile => {
+      profile.tags = tags;
+    });
+  }
+
+  function deleteSelectedProfiles() {
+    deleteProfiles(getSelectedProfiles());
+  }
+
+  async function deleteProfiles(profiles) {
+    if (profiles.length === 0) return;
+    const message = profiles.length === 1 ?
+      `Delete profile "${profiles[0].name}"?` :
+      `Delete ${profiles.length} selected profiles?`;
+    if (!confirm(message)) return;
+    
+    try {
+      await removeProfiles(new Set(profiles.map(profile => profile.id)));
+    } catch (err) {
+      alert('Failed to delete profiles: ' + describeStorageError(err));
+    }
+    updateUI();
+  }
+
+  /**
+   * Restores a saved session into state and re-runs the same rendering and
+   * analysis as stopCapture(), so it looks exactly as when it was captured.
+   */
+  function loadProfileIntoView(profile) {
+    if (state.running) return;
+    stopReplay();
+    
+    state.events = Array.isArray(profile.events) ? profile.events : [];
+    // Metrics are recomputed from raw events when present; summaries (e.g. CMU) keep their own
+    state.metrics = state.events.length > 0 ?
+      computeMetrics(state.events, typeof profile.text === 'string' ? profile.text : '') : profile.metrics;
+    state.keyStates.clear();
+    state.dtw = null;
+    if (state.events.length > 0) {
+      updateNgrams();
+    } else {
+      // Imported summaries without raw events still carry their digraphs
+      state.digraphs = new Map(Array.isArray(profile.digraphs) ? profile.digraphs : []);
+      state.ngrams = new Map([[2, state.digraphs]]);
+    }
+    els.editor.value = typeof profile.text === 'string' ? profile.text : '';
+    setViewedProfile(profile);
+    
+    updateUI();
+    clearVisualizations();
+    
+    try {
+      renderVisualizations();
+    } catch (error) {
+      console.error('Error rendering visualizations:', error);
+    }
+    
+    try {
+      renderNgramTable();
+    } catch (error) {
+      console.error('Error rendering n-gram table:', error);
+    }
+    
+    try {
+      hideAnalysis();
+      performAnalysis();
+    } catch (error) {
+      console.error('Error performing analysis:', error);
+    }
+  }
+
+  function setViewedProfile(profile) {
+    state.viewedProfile = profile;
+    if (profile && profile.source === 'synthetic' && profile.id === undefined) {
+      els.viewingStatus.textContent = `合成セッション「${profile.name}」を表示中（未保存。Save Profileで保存できます）。Start で新しい記録に戻ります。`;
+      els.viewingStatus.hidden = false;
+    } else if (profile) {
+      els.viewingStatus.textContent = `保存済みプロファイル「${profile.name}」（${new Date(profile.timestamp).toLocaleString()}）を表示中。Start で新しい記録に戻ります。`;
+      els.viewingStatus.hidden = false;
+    } else {
+      els.viewingStatus.textContent = '';
+      els.viewingStatus.hidden = true;
+    }
+  }
+
+  // ====== Side-by-side sessions ======
+
+  // The live capture (or loaded profile) plus every saved profile, as full sessions
+  function getSessionSources() {
+    const sources = [];
+    if (state.metrics.totalKeys) {
+      sources.push({
+        value: 'current',
+        label: state.viewedProfile ? `Current view (${state.viewedProfile.name})` : 'Current session',
+        session: {
+          name: 'Current session',
+          timestamp: state.viewedProfile ? state.viewedProfile.timestamp : Date.now(),
+          events: state.events,
+          metrics: state.metrics,
+          text: els.editor.value,
+          phrase: state.viewedProfile ? state.viewedProfile.phrase : els.phrase.value
+        }
+      });
+    }
+    state.profiles.forEach(profile => {
+      sources.push({ value: `profile-${profile.id}`, label: profile.name, session: profile });
+    });
+    return sources;
+  }
+
+  function refreshSideBySideSources() {
+    const sources = getSessionSources();
+    [els.sideBySide.sourceA, els.sideBySide.sourceB].forEach((select, selectIdx) => setSelectOptions(select, sources, selectIdx));
+    els.sideBySide.btnShow.disabled = state.running || sources.length < 2;
+  }
+
+  function renderSideBySide() {
+    const sources = getSessionSources();
+    state.sideBySide = true;
+    
+    [els.sideBySide.sourceA, els.sideBySide.sourceB].forEach((select, index) => {
+      const column = els.sideBySide.columns[index];
+      const source = sources.find(candidate => candidate.value === select.value);
+      [column.timeline, column.rhythm, column.heatmap].forEach(box => {
+        box.innerHTML = '';
+      });
+      if (!source) {
+        column.title.textContent = '—';
+        column.stats.textContent = '';
+        return;
+      }
+      
+      const session = source.session;
+      const events = Array.isArray(session.events) ? session.events : [];
+      const m = session.metrics || {};
+      const accuracy = events.length > 0 && typeof session.text === 'string' ?
+        analyzeAccuracy(events, session.text, session.phrase || '', m) : null;
+      const fmt = value => Number.isFinite(value) ? value.toFixed(0) : '—';
+      
+      column.title.textContent = `${source.label} — ${new Date(session.timestamp).toLocaleString()}`;
+      column.stats.textContent = [
+        `Keys ${m.totalKeys || 0}`,
+        `WPM ${fmt(m.wpm)}`,
+        `Dwell ${fmt(m.avgDwell)}ms`,
+        `Flight ${fmt(m.avgFlight)}ms`,
+        `正確性 ${accuracy ? accuracy.accuracy.toFixed(1) + '%' : '—'}`,
+        `Shift ${formatShiftSummary(analyzeModifiers(events))}`
+      ].join(' / ');
+      
+      if (events.length === 0) {
+        column.timeline.innerHTML = '<p class="muted small">このプロファイルには生のイベント列がありません</p>';
+        return;
+      }
+      renderTimeline(column.timeline, events);
+      renderRhythm(column.rhythm, events);
+      renderHeatmap(undefined, column.heatmap, events);
+    });
+    
+    renderDwellDeltaHeatmap(...[els.sideBySide.sourceA, els.sideBySide.sourceB].map(select => {
+      const source = sources.find(candidate => candidate.value === select.value);
+      return source && Array.isArray(source.session.events) ? source.session.events : [];
+    }));
+  }
+
+  // Per-key mean dwell of A minus B, on a scale symmetric around zero
+  function renderDwellDeltaHeatmap(eventsA, eventsB) {
+    const container = els.sideBySide.deltaHeatmap;
+    container.innerHTML = '';
+    const dwellOf = events => HEATMAP_METRICS.dwellMean.compute(buildKeystrokes(events));
+    const dwellA = dwellOf(eventsA);
+    const dwellB = dwellOf(eventsB);
+    const deltas = new Map();
+    dwellA.forEach((dwell, code) => {
+      if (dwellB.has(code)) deltas.set(code, dwell - dwellB.get(code));
+    });
+    const spread = Math.max(0, ...Array.from(deltas.values(), Math.abs));
+    
+    const metric = {
+      label: 'Dwell差（A − B）',
+      diverging: true,
+      format: v => `${v > 0 ? '+' : ''}${v.toFixed(0)}ms`,
+      compute: () => deltas
+    };
+    renderHeatmap(undefined, container, eventsA.concat(eventsB), { metric, range: { min: -spread, max: spread } });
+  }
+
+  // Blob URLs avoid the length limits data: URIs hit with raw event exports
+  function downloadFile(content, filename, mimeType) {
+    const url = URL.createObjectURL(new Blob([content], { type: mimeType }));
+    const link = document.createElement('a');
+    link.setAttribute('href', url);
+    link.setAttribute('download', filename);
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+  }
+
+  async function exportJSON() {
+    if (state.profiles.length === 0) return;
+    
+    const mode = els.exportPrivacy.value;
+    let profiles;
+    if (mode === 'full') {
+      // Local IndexedDB ids are meaningless elsewhere; uid identifies the profile
+      profiles = state.profiles.map(({ id, ...profile }) => profile);
+    } else {
+      try {
+        profiles = await anonymizeProfiles(state.profiles, mode);
+      } catch (err) {
+        alert('Anonymized export failed: ' + err.message);
+        return;
+      }
+    }
+    let output = createExportEnvelope(profiles, mode);
+    let filename = 'keystroke_profiles.json';
+    if (state.vault.config) {
+      try {
+        output = await createEncryptedExport(output);
+        filename = 'keystroke_profiles.encrypted.json';
+      } catch (err) {
+        alert('Encrypted export failed: ' + err.message);
+        return;
+      }
+    }
+    downloadFile(JSON.stringify(output, null, 2), filename, 'application/json;charset=utf-8');
+  }
+
+  // ====== Privacy-preserving export ======
+
+  // Coarse class of a key; tells letters from digits without saying which one
+  function keyClass(key) {
+    if (MODIFIER_KEYS.has(key)) return 'modifier';
+    if (key === ' ') return 'space';
+    if (key === 'Backspace' || key === 'Delete') return 'edit';
+    if (Array.from(key).length !== 1) return 'other';
+    if (/\p{L}/u.test(key)) return 'letter';
+    if (/\p{N}/u.test(key)) return 'digit';
+    return 'punct';
+  }
+
+  async function sha256Hex(text) {
+    const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(text));
+    return Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('');
+  }
+
+  /**
+   * Token function for the chosen mode. 'classes' maps keys to keyClass();
+   * 'hashed' maps each distinct key to a salted SHA-256 prefix. The salt is
+   * random per export and never written out, so tokens are consistent within
+   * one file but cannot be looked up or linked across files.
+   */
+  async function createKeyTokenizer(mode, profiles) {
+    if (mode === 'classes') return key => keyClass(key);
+    if (mode !== 'hashed') throw new Error(`unknown privacy mode "${mode}"`);
+    requireWebCrypto();
+    
+    const keys = new Set();
+    profiles.forEach(profile => {
+      (Array.isArray(profile.events) ? profile.events : []).forEach(e => {
+        keys.add(`key:${e.key}`);
+        keys.add(`code:${e.code}`);
+      });
+      (Array.isArray(profile.digraphs) ? profile.digraphs : []).forEach(([gram, data]) => {
+        getDigraphKeys(gram, data).forEach(key => keys.add(`key:${key}`));
+      });
+    });
+    
+    const salt = Array.from(crypto.getRandomValues(new Uint8Array(16)), byte => byte.toString(16).padStart(2, '0')).join('');
+    const tokens = new Map();
+    for (const key of keys) {
+      tokens.set(key, (await sha256Hex(salt + key)).slice(0, 8));
+    }
+    return (key, kind = 'key') => tokens.get(`${kind}:${key}`);
+  }
+
+  function getDigraphKeys(gram, data) {
+    return data && Array.isArray(data.keys) ? data.keys : Array.from(gram);
+  }
+
+  /**
+   * Replaces key and code on every event. In class mode the code becomes
+   * "<class>:<slot>", the lowest slot not held down by another key of the
+   * same class, so down/up pairing still works across rollover.
+   */
+  function anonymizeEvents(events, tokenize, mode) {
+    if (mode === 'hashed') {
+      return events.map(({ type, code, key, t, dwell }) => {
+        const event = { type, code: tokenize(code, 'code'), key: tokenize(key), t };
+        if (dwell !== undefined) event.dwell = dwell;
+        return event;
+      });
+    }
+    
+    const held = new Map(); // original code -> anonymized code
+    return events.map(({ type, code, key, t, dwell }) => {
+      const token = tokenize(key);
+      let anonCode = held.get(code);
+      if (type === 'down' && anonCode === undefined) {
+        const used = new Set(held.values());
+        let slot = 0;
+        while (used.has(`${token}:${slot}`)) slot++;
+        anonCode = `${token}:${slot}`;
+        held.set(code, anonCode);
+      } else if (type === 'up') {
+        held.delete(code);
+      }
+      const event = { type, code: anonCode || `${token}:0`, key: token, t };
+      if (dwell !== undefined) event.dwell = dwell;
+      return event;
+    });
+  }
+
+  // Digraphs whose keys share a token are merged so their latencies pool
+  function anonymizeDigraphs(digraphs, tokenize) {
+    const merged = new Map();
+    digraphs.forEach(([gram, data]) => {
+      if (!data) return;
+      const keys = getDigraphKeys(gram, data).map(key => tokenize(key));
+      const anonGram = keys.join('');
+      if (!merged.has(anonGram)) {
+        merged.set(anonGram, { keys, DD: [], UD: [], DU: [], UU: [] });
+      }
+      const entry = merged.get(anonGram);
+      LATENCY_TYPES.forEach(type => {
+        if (Array.isArray(data[type])) entry[type].push(...data[type]);
+      });
+    });
+    return Array.from(merged.entries());
+  }
+
+  /**
+   * Copies of the profiles with typed content removed: no text, phrase, tags
+   * or uid, keys replaced by tokens, and names replaced by per-subject
+   * pseudonyms (S01-1, S01-2, ...). Timing metrics are kept as they are.
+   */
+  async function anonymizeProfiles(profiles, mode) {
+    const tokenize = await createKeyTokenizer(mode, profiles);
+    const pseudonyms = new Map();
+    const sessionCounts = new Map();
+    
+    return profiles.map(profile => {
+      const subject = getProfileSubject(profile);
+      if (!pseudonyms.has(subject)) {
+        pseudonyms.set(subject, `S${String(pseudonyms.size + 1).padStart(2, '0')}`);
+      }
+      const pseudonym = pseudonyms.get(subject);
+      const count = (sessionCounts.get(pseudonym) || 0) + 1;
+      sessionCounts.set(pseudonym, count);
+      
+      const anonymized = {
+        name: `${pseudonym}-${count}`,
+        subject: pseudonym,
+        timestamp: profile.timestamp,
+        metrics: { ...profile.metrics },
+        events: anonymizeEvents(Array.isArray(profile.events) ? profile.events : [], tokenize, mode),
+        digraphs: anonymizeDigraphs(Array.isArray(profile.digraphs) ? profile.digraphs : [], tokenize),
+        anonymized: mode
+      };
+      if (profile.source) anonymized.source = profile.source;
+      if (Number.isInteger(profile.session)) anonymized.session = profile.session;
+      if (Number.isInteger(profile.rep)) anonymized.rep = profile.rep;
+      return anonymized;
+    });
+  }
+
+  // ====== Import / export envelope ======
+
+  function createExportEnvelope(profiles, privacy = 'full') {
+    const exchange = CONFIG.exchange;
+    return {
+      format: exchange.format,
+      formatVersion: exchange.formatVersion,
+      appVersion: exchange.appVersion,
+      layout: getKeyboardLayout().label,
+      privacy,
+      createdAt: new Date().toISOString(),
+      profiles
+    };
+  }
+
+  /**
+   * Accepts the versioned envelope or a bare array (pre-envelope exports,
+   * treated as format version 0). Throws on anything else.
+   */
+  function unwrapImportEnvelope(data) {
+    if (Array.isArray(data)) {
+      return { meta: { formatVersion: 0, appVersion: null, layout: null, privacy: null, createdAt: null }, profiles: data };
+    }
+    if (!data || typeof data !== 'object' || data.format !== CONFIG.exchange.format) {
+      throw new Error('Not a KeyPress Pattern Analyzer profile export');
+    }
+    if (!Number.isInteger(data.formatVersion) || data.formatVersion > CONFIG.exchange.formatVersion) {
+      throw new Error(`Unsupported format version ${data.formatVersion} (this version reads up to ${CONFIG.exchange.formatVersion})`);
+    }
+    if (!Array.isArray(data.profiles)) {
+      throw new Error('Export envelope has no profiles array');
+    }
+    return {
+      meta: {
+        formatVersion: data.formatVersion,
+        appVersion: typeof data.appVersion === 'string' ? data.appVersion.slice(0, 20) : null,
+        layout: typeof data.layout === 'string' ? data.layout.slice(0, 50) : null,
+        privacy: PRIVACY_MODES.includes(data.privacy) ? data.privacy : null,
+        createdAt: typeof data.createdAt === 'string' ? data.createdAt.slice(0, 40) : null
+      },
+      profiles: data.profiles
+    };
+  }
+
+  const isFiniteNumber = value => typeof value === 'number' && Number.isFinite(value);
+  const isNumberArray = value => Array.isArray(value) && value.every(isFiniteNumber);
+  const isOptionalString = (value, maxLength) => value === undefined || (typeof value === 'string' && value.length <= maxLength);
+
+  const PRIVACY_MODES = ['full', 'classes', 'hashed'];
+  const PROFILE_METRIC_NUMBERS = [
+    'totalKeys', 'duration', 'avgDwell', 'stdDwell', 'avgFlight', 'stdFlight', 'avgDD', 'stdDD', 'wpm',
+    'medianDwell', 'medianFlight', 'medianDD', 'iqrDD', 'trimmedDD', 'p10DD', 'p90DD', 'outlierDD', 'pauseCount', 'burstCount', 'pauseThreshold'
+  ];
+  const PROFILE_METRIC_SERIES = ['dwellTimes', 'flightTimes', 'ddTimes'];
+
+  function isValidEvent(event) {
+    return event && typeof event === 'object' &&
+      (event.type === 'down' || event.type === 'up') &&
+      typeof event.code === 'string' && event.code.length <= 50 &&
+      // Keyups recorded before they were truncated can hold longer names (e.g. 'PrintScreen')
+      typeof event.key === 'string' && event.key.length <= 50 &&
+      isFiniteNumber(event.t) &&
+      (event.dwell === undefined || isFiniteNumber(event.dwell));
+  }
+
+  function isValidDigraphEntry(entry) {
+    if (!Array.isArray(entry) || entry.length !== 2 || typeof entry[0] !== 'string') return false;
+    const data = entry[1];
+    if (!data || typeof data !== 'object') return false;
+    if (data.keys !== undefined && !(Array.isArray(data.keys) && data.keys.every(key => typeof key === 'string'))) return false;
+    return LATENCY_TYPES.every(type => data[type] === undefined || isNumberArray(data[type]));
+  }
+
+  /**
+   * Full schema check of one imported profile. Returns {profile} with a clean
+   * copy holding only known fields, or {errors} describing what is wrong.
+   */
+  function validateImportedProfile(raw) {
+    const errors = [];
+    if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+      return { errors: ['not an object'] };
+    }
+    const limits = CONFIG.exchange;
+    
+    if (typeof raw.name !== 'string' || sanitizeProfileName(raw.name).length === 0 || raw.name.length > 100) {
+      errors.push('name must be a non-empty string of at most 100 characters');
+    }
+    if (!isFiniteNumber(raw.timestamp)) errors.push('timestamp must be a number');
+    
+    const m = raw.metrics;
+    if (!m || typeof m !== 'object' || Array.isArray(m)) {
+      errors.push('metrics must be an object');
+    } else {
+      if (!isFiniteNumber(m.totalKeys)) errors.push('metrics.totalKeys must be a number');
+      PROFILE_METRIC_NUMBERS.forEach(key => {
+        if (m[key] !== undefined && !isFiniteNumber(m[key])) errors.push(`metrics.${key} must be a number`);
+      });
+      PROFILE_METRIC_SERIES.forEach(key => {
+        if (m[key] !== undefined && !isNumberArray(m[key])) errors.push(`metrics.${key} must be an array of numbers`);
+      });
+    }
+    
+    if (raw.events !== undefined) {
+      if (!Array.isArray(raw.events) || raw.events.length > limits.maxEvents) {
+        errors.push(`events must be an array of at most ${limits.maxEvents} entries`);
+      } else {
+        const bad = raw.events.findIndex(event => !isValidEvent(event));
+        if (bad >= 0) errors.push(`events[${bad}] is malformed`);
+      }
+    }
+    if (raw.digraphs !== undefined) {
+      if (!Array.isArray(raw.digraphs)) {
+        errors.push('digraphs must be an array');
+      } else {
+        const bad = raw.digraphs.findIndex(entry => !isValidDigraphEntry(entry));
+        if (bad >= 0) errors.push(`digraphs[${bad}] is malformed`);
+      }
+    }
+    
+    if (!isOptionalString(raw.text, limits.maxTextLength)) errors.push('text must be a string');
+    if (!isOptionalString(raw.phrase, limits.maxTextLength)) errors.push('phrase must be a string');
+    if (!isOptionalString(raw.subject, 50)) errors.push('subject must be a string of at most 50 characters');
+    if (!isOptionalString(raw.uid, 64)) errors.push('uid must be a string');
+    if (!isOptionalString(raw.source, 20)) errors.push('source must be a string');
+    if (raw.anonymized !== undefined && !['classes', 'hashed'].includes(raw.anonymized)) {
+      errors.push('anonymized must be "classes" or "hashed"');
+    }
+    if (raw.tags !== undefined && !(Array.isArray(raw.tags) && raw.tags.every(tag => typeof tag === 'string'))) {
+      errors.push('tags must be an array of strings');
+    }
+    
+    if (errors.length > 0) return { errors };
+    
+    // Rebuild rather than copy so unknown or oversized fields never reach storage
+    const metrics = {};
+    PROFILE_METRIC_NUMBERS.concat(PROFILE_METRIC_SERIES).forEach(key => {
+      if (m[key] !== undefined) metrics[key] = m[key];
+    });
+    const profile = {
+      name: sanitizeProfileName(raw.name),
+      timestamp: raw.timestamp,
+      metrics,
+      events: (raw.events || []).map(({ type, code, key, t, dwell }) =>
+        (dwell === undefined ? { type, code, key, t } : { type, code, key, t, dwell })),
+      digraphs: (raw.digraphs || []).map(([gram, data]) => {
+        const clean = {};
+        if (data.keys) clean.keys = data.keys.slice();
+        LATENCY_TYPES.forEach(type => {
+          clean[type] = data[type] ? data[type].slice() : [];
+        });
+        return [gram, clean];
+      })
+    };
+    if (raw.uid) profile.uid = raw.uid;
+    if (raw.subject) profile.subject = sanitizeProfileName(raw.subject);
+    if (raw.tags) profile.tags = raw.tags.map(sanitizeProfileName).filter(tag => tag.length > 0).slice(0, 20);
+    if (raw.text !== undefined) profile.text = raw.text;
+    if (raw.phrase !== undefined) profile.phrase = raw.phrase;
+    if (raw.source) profile.source = raw.source;
+    if (Number.isInteger(raw.session)) profile.session = raw.session;
+    if (Number.isInteger(raw.rep)) profile.rep = raw.rep;
+    if (raw.anonymized) profile.anonymized = raw.anonymized;
+    return { profile };
+  }
+
+  // Fallback identity for profiles exported before uids existed
+  function profileFingerprint(profile) {
+    return `${profile.name}|${profile.timestamp}|${profile.metrics.totalKeys}`;
+  }
+
+  // Metadata and timing summary; equal signatures mean nothing would change on overwrite
+  function profileSignature(profile) {
+    const m = profile.metrics;
+    return JSON.stringify([
+      profile.name,
+      profile.subject || null,
+      getProfileTags(profile),
+      profile.timestamp,
+      typeof profile.text === 'string' ? profile.text : null,
+      typeof profile.phrase === 'string' ? profile.phrase : null,
+      PROFILE_METRIC_NUMBERS.map(key => (m[key] !== undefined ? m[key] : null)),
+      Array.isArray(profile.events) ? profile.events.length : 0
+    ]);
+  }
+
+  /**
+   * Classifies each valid profile as new, duplicate (identical to a local one)
+   * or changed (same uid, different content), and drops repeats within the file.
+   */
+  function planImport(profiles) {
+    const byUid = new Map();
+    const byFingerprint = new Map();
+    state.profiles.forEach(profile => {
+      if (profile.uid) byUid.set(profile.uid, profile);
+      byFingerprint.set(profileFingerprint(profile), profile);
+    });
+    
+    const seen = new Set();
+    const plan = [];
+    profiles.forEach(profile => {
+      const key = profile.uid || profileFingerprint(profile);
+      if (seen.has(key)) return;
+      seen.add(key);
+      
+      const local = (profile.uid && byUid.get(profile.uid)) || byFingerprint.get(profileFingerprint(profile));
+      let status = 'new';
+      if (local) {
+        status = profileSignature(local) === profileSignature(profile) ? 'duplicate' : 'changed';
+      }
+      plan.push({ profile, local: local || null, status });
+    });
+    return plan;
+  }
+
+  function handleFileImport(e) {
+    const file = e.target.files[0];
+    if (!file) return;
+    
+    const reader = new FileReader();
+    reader.onload = async function(event) {
+      try {
+        let data = JSON.parse(event.target.result);
+        if (isEncryptedExport(data)) {
+          data = await decryptExportFile(data);
+          if (data === null) return;
+        }
+        const { meta, profiles } = unwrapImportEnvelope(data);
+        const valid = [];
+        const errors = [];
+        profiles.forEach((raw, index) => {
+          const result = validateImportedProfile(raw);
+          if (result.profile) {
+            valid.push(result.profile);
+          } else {
+            const name = raw && typeof raw.name === 'string' ? ` "${raw.name.slice(0, 50)}"` : '';
+            errors.push(`#${index + 1}${name}: ${result.errors.join('; ')}`);
+          }
+        });
+        
+        state.pendingImport = { fileName: file.name, meta, plan: planImport(valid), errors };
+        showImportPreview();
+      } catch (err) {
+        alert('Failed to import profiles: ' + err.message);
+      }
+    };
+    reader.readAsText(file);
+    
+    // Reset file input
+    e.target.value = '';
+  }
+
+  function showImportPreview() {
+    const dialog = els.importDialog;
+    const { fileName, meta, plan, errors } = state.pendingImport;
+    const count = status => plan.filter(item => item.status === status).length;
+    
+    dialog.meta.textContent = [
+      fileName,
+      meta.formatVersion > 0 ? `format v${meta.formatVersion}` : 'legacy array (no envelope)',
+      meta.appVersion ? `app ${meta.appVersion}` : null,
+      meta.layout ? `layout ${meta.layout}` : null,
+      meta.privacy && meta.privacy !== 'full' ? `anonymized (${meta.privacy === 'hashed' ? 'salted hashes' : 'key classes'})` : null,
+      meta.createdAt ? `created ${meta.createdAt}` : null
+    ].filter(Boolean).join(' / ');
+    dialog.counts.textContent = `New ${count('new')} / Changed ${count('changed')} / Duplicate ${count('duplicate')} / Invalid ${errors.length}`;
+    
+    const statusLabels = { new: 'New', changed: 'Changed', duplicate: 'Duplicate' };
+    dialog.tbody.innerHTML = '';
+    if (plan.length === 0) {
+      dialog.tbody.innerHTML = '<tr><td colspan="5" class="muted center">No valid profiles</td></tr>';
+    }
+    plan.forEach(({ profile, status }) => {
+      const row = dialog.tbody.insertRow();
+      row.className = `import-${status}`;
+      [
+        statusLabels[status],
+        profile.name,
+        getProfileSubject(profile),
+        new Date(profile.timestamp).toLocaleString(),
+        String(profile.metrics.totalKeys)
+      ].forEach(text => {
+        row.insertCell().textContent = text;
+      });
+    });
+    
+    dialog.errors.innerHTML = '';
+    errors.slice(0, 20).forEach(message => {
+      const item = document.createElement('li');
+      item.textContent = message;
+      dialog.errors.appendChild(item);
+    });
+    if (errors.length > 20) {
+      const item = document.createElement('li');
+      item.textContent = `… and ${errors.length - 20} more`;
+      dialog.errors.appendChild(item);
+    }
+    
+    dialog.btnConfirm.disabled = count('new') + count('changed') === 0;
+    dialog.dialog.showModal();
+  }
+
+  function cancelImport() {
+    els.importDialog.dialog.close();
+  }
+
+  async function confirmImport() {
+    const pending = state.pendingImport;
+    if (!pending) return;
+    els.importDialog.dialog.close();
+    
+    const overwrite = els.importDialog.strategy.value === 'overwrite';
+    const added = pending.plan.filter(item => item.status === 'new').map(item => item.profile);
+    const changed = overwrite ? pending.plan.filter(item => item.status === 'changed') : [];
+    
+    try {
+      await addProfiles(added);
+      // Merge into copies that keep the local record id (and its uid when the import had none);
+      // state.profiles only takes them once the write succeeded
+      const merged = changed.map(({ profile, local }) => ({ ...local, ...profile, id: local.id, uid: profile.uid || local.uid }));
+      if (merged.length > 0) {
+        await updateProfiles(merged);
+        const byId = new Map(merged.map(profile => [profile.id, profile]));
+        state.profiles = state.profiles.map(profile => byId.get(profile.id) || profile);
+      }
+      
+      const skipped = pending.plan.length - added.length - merged.length;
+      alert(`Imported ${added.length} profiles, updated ${merged.length}, skipped ${skipped}` +
+        (pending.errors.length > 0 ? `, rejected ${pending.errors.length} invalid` : '') + '.');
+    } catch (err) {
+      alert('Failed to import profiles: ' + describeStorageError(err));
+    }
+    updateUI();
+  }
+
+  // ====== CSV export ======
+
+  /**
+   * RFC 4180 quoting. Text starting with =, +, -, @ gets a leading ' so spreadsheets
+   * show it instead of running it as a formula (the "=" key is written as '=).
+   */
+  function csvField(value) {
+    if (value === null || value === undefined) return '';
+    if (typeof value === 'number') return Number.isFinite(value) ? String(Math.round(value * 1000) / 1000) : '';
+    const text = /^[=+\-@\t\r]/.test(String(value)) ? `'${value}` : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  }
+
+  function toCsv(header, rows) {
+    return [header, ...rows].map(row => row.map(csvField).join(',')).join('\r\n') + '\r\n';
+  }
+
+  // Leading columns shared by every CSV so rows join back to their session
+  const CSV_SESSION_COLUMNS = ['profile_id', 'profile_name', 'subject', 'session_time'];
+
+  function csvSessionColumns(profile) {
+    return [profile.id, profile.name, getProfileSubject(profile), new Date(profile.timestamp).toISOString()];
+  }
+
+  /**
+   * Flat exports for R / pandas. Each builder returns [header, rows] for the
+   * given profiles; long format with one row per event, digraph or session.
+   */
+  const CSV_EXPORTS = {
+    events: {
+      filename: 'keystroke_events.csv',
+      build(profiles) {
+        const rows = [];
+        profiles.forEach(profile => {
+          const events = Array.isArray(profile.events) ? profile.events : [];
+          events.forEach((event, index) => {
+            rows.push([...csvSessionColumns(profile), index, event.type, event.code, event.key, event.t,
+              event.type === 'up' ? event.dwell : null]);
+          });
+        });
+        return [[...CSV_SESSION_COLUMNS, 'index', 'type', 'code', 'key', 't', 'dwell'], rows];
+      }
+    },
+    digraphs: {
+      filename: 'keystroke_digraphs.csv',
+      build(profiles) {
+        const rows = [];
+        profiles.forEach(profile => {
+          const digraphs = Array.isArray(profile.digraphs) ? profile.digraphs : [];
+          digraphs.forEach(([gram, data]) => {
+            if (!data) return;
+            const keys = getDigraphKeys(gram, data);
+            const stats = LATENCY_TYPES.flatMap(type => {
+              const values = Array.isArray(data[type]) ? data[type] : [];
+              return values.length > 0 ?
+                [average(values), standardDeviation(values), values.length] : [null, null, 0];
+            });
+            rows.push([...csvSessionColumns(profile), keys[0], keys[1], ...stats]);
+          });
+        });
+        const statColumns = LATENCY_TYPES.flatMap(type => {
+          const prefix = type.toLowerCase();
+          return [`${prefix}_mean`, `${prefix}_std`, `${prefix}_count`];
+        });
+        return [[...CSV_SESSION_COLUMNS, 'key1', 'key2', ...statColumns], rows];
+      }
+    },
+    summary: {
+      filename: 'keystroke_sessions.csv',
+      build(profiles) {
+        const rows = profiles.map(profile => {
+          const m = profile.metrics;
+          const events = Array.isArray(profile.events) ? profile.events : [];
+          const accuracy = typeof profile.phrase === 'string' && typeof profile.text === 'string' ?
+            analyzeAccuracy(events, profile.text, profile.phrase, m) : null;
+          return [
+            ...csvSessionColumns(profile),
+            getProfileTags(profile).join(';'),
+            profile.phrase,
+            m.totalKeys, m.duration, m.wpm,
+            m.avgDwell, m.stdDwell, m.avgFlight, m.stdFlight, m.avgDD, m.stdDD,
+            accuracy ? accuracy.accuracy : null,
+            accuracy ? accuracy.netWpm : null,
+            accuracy ? accuracy.uncorrected : null,
+            accuracy ? accuracy.corrected : null
+          ];
+        });
+        return [[
+          ...CSV_SESSION_COLUMNS, 'tags', 'phrase',
+          'total_keys', 'duration_ms', 'wpm',
+          'dwell_mean', 'dwell_std', 'flight_mean', 'flight_std', 'dd_mean', 'dd_std',
+          'accuracy_pct', 'net_wpm', 'uncorrected_errors', 'corrected_errors'
+        ], rows];
+      }
+    }
+  };
+
+  // Ticked profiles when any are selected, otherwise every profile
+  async function exportCSV() {
+    if (state.profiles.length === 0) return;
+    
+    if (state.vault.config && !confirm('CSV files are written unencrypted. Export anyway?')) return;
+    
+    const exporter = CSV_EXPORTS[els.csvExportType.value] || CSV_EXPORTS.summary;
+    const selected = getSelectedProfiles();
+    let profiles = selected.length > 0 ? selected : state.profiles;
+    const mode = els.exportPrivacy.value;
+    if (mode !== 'full') {
+      try {
+        profiles = await anonymizeProfiles(profiles, mode);
+      } catch (err) {
+        alert('Anonymized export failed: ' + err.message);
+        return;
+      }
+    }
+    const [header, rows] = exporter.build(profiles);
+    if (rows.length === 0) {
+      alert('No rows to export for the chosen profiles');
+      return;
+    }
+    downloadFile(toCsv(header, rows), exporter.filename, 'text/csv;charset=utf-8');
+  }
+
+  function importJSON() {
+    els.fileInput.click();
+  }
+
+  function importCmuCsv() {
+    els.cmuFileInput.click();
+  }
+
+  function handleCmuImport(e) {
+    const file = e.target.files[0];
+    if (!file) return;
+    
+    const reader = new FileReader();
+    reader.onload = async function(event) {
+      try {
+        const imported = parseCmuKeystrokeData(event.target.result);
+        if (imported.length === 0) {
+          alert('No valid rows found in CMU dataset');
+          return;
+        }
+        await addProfiles(imported);
+        const subjects = new Set(imported.map(p => p.subject)).size;
+        alert(`Imported ${imported.length} CMU sessions from ${subjects} subjects!`);
+        updateUI();
+      } catch (err) {
+        alert('Failed to import CMU dataset: ' + describeStorageError(err));
+      }
+    };
+    reader.readAsText(file);
+    
+    // Reset file input
+    e.target.value = '';
+  }
+
+  // CMU column key names -> KeyboardEvent key/code
+  const CMU_KEY_NAMES = {
+    period: { key: '.', code: 'Period' },
+    five: { key: '5', code: 'Digit5' },
+    'Shift.r': { key: 'R', code: 'KeyR' },
+    Return: { key: 'Enter', code: 'Enter' }
+  };
+
+  function cmuKeyFromName(name) {
+    if (CMU_KEY_NAMES[name]) return CMU_KEY_NAMES[name];
+    if (/^[a-z]$/.test(name)) return { key: name, code: `Key${name.toUpperCase()}` };
+    if (/^[0-9]$/.test(name)) return { key: name, code: `Digit${name}` };
+    return { key: name.slice(0, 10), code: name.slice(0, 50) };
+  }
+
+  /**
+   * Parses the CMU DSL-StrongPasswordData layout (Killourhy & Maxion, 2009):
+   * subject, sessionIndex, rep, then H.<k1>, DD.<k1>.<k2>, UD.<k1>.<k2>, H.<k2>, ...
+   * in seconds. Accepts both the .csv and whitespace-separated .txt releases.
+   */
+  function parseCmuKeystrokeData(text) {
+    const lines = text.split(/\r?\n/).map(line => line.trim()).filter(line => line.length > 0);
+    if (lines.length < 2) return [];
+    
+    const split = line => line.split(/[,\t ]+/).map(cell => cell.replace(/^"|"$/g, ''));
+    const header = split(lines[0]);
+    const col = name => header.indexOf(name);
+    
+    if (col('subject') === -1 || col('sessionIndex') === -1 || col('rep') === -1) {
+      throw new Error('Missing subject/sessionIndex/rep columns');
+    }
+    
+    // Key order follows the H.* columns
+    const keyNames = header.filter(h => h.startsWith('H.')).map(h => h.slice(2));
+    if (keyNames.length === 0) {
+      throw new Error('No H.* columns found');
+    }
+    const keys = keyNames.map(cmuKeyFromName);
+    const holdCols = keyNames.map(name => col(`H.${name}`));
+    const ddCols = keyNames.slice(0, -1).map((name, i) => col(`DD.${name}.${keyNames[i + 1]}`));
+    if (ddCols.includes(-1)) {
+      throw new Error('Missing DD.* columns');
+    }
+    
+    const phrase = keys.map(k => (k.key === 'Enter' ? '' : k.key)).join('');
+    const importedAt = Date.now();
+    const profiles = [];
+    
+    lines.slice(1).forEach((line, rowIdx) => {
+      const cells = split(line);
+      const seconds = idx => (idx === -1 ? NaN : parseFloat(cells[idx]));
+      const holds = holdCols.map(idx => seconds(idx) * 1000);
+      const dds = ddCols.map(idx => seconds(idx) * 1000);
+      if (holds.some(v => !Number.isFinite(v) || v < 0) || dds.some(v => !Number.isFinite(v))) return;
+      
+      // Down times follow from DD; up times from H
+      const downTimes = [0];
+      dds.forEach(dd => downTimes.push(downTimes[downTimes.length - 1] + dd));
+      
+      const events = [];
+      keys.forEach((k, i) => {
+        events.push({ type: 'down', code: k.code, key: k.key, t: downTimes[i] });
+        events.push({ type: 'up', code: k.code, key: k.key, t: downTimes[i] + holds[i], dwell: holds[i] });
+      });
+      events.sort((a, b) => a.t - b.t);
+      
+      // UD.* columns are DD - H by construction, so the digraphs follow from the events
+      const digraphs = extractNgrams(events, 2);
+      
+      const subject = String(cells[col('subject')]).slice(0, 50);
+      const session = parseInt(cells[col('sessionIndex')], 10);
+      const repetition = parseInt(cells[col('rep')], 10);
+      
+      profiles.push({
+        name: `${subject} s${session}r${repetition}`,
+        subject,
+        session,
+        rep: repetition,
+        source: 'cmu',
+        timestamp: importedAt + rowIdx, // Preserve dataset order for enrollment splits
+        metrics: computeMetrics(events, phrase),
+        events,
+        digraphs: Array.from(digraphs.entries()),
+        text: phrase
+      });
+    });
+    
+    return profiles;
+  }
+
+  // Ticked profiles when at least two are selected, otherwise every profile
+  function getComparisonProfiles() {
+    const selected = getSelectedProfiles();
+    return selected.length >= 2 ? selected : state.profiles;
+  }
+
+  // Pairwise similarity is O(n²); larger sets are cut to the newest profiles
+  const COMPARE_MAX_PROFILES = 40;
+
+  function compareProfiles() {
+    const candidates = getComparisonProfiles();
+    if (candidates.length < 2) return;
+    
+    const profiles = candidates.slice(-COMPARE_MAX_PROFILES);
+    const metricId = getSelectedMetric();
+    const features = profiles.map(getProfileFeatures);
+    const matrix = profiles.map(() => new Array(profiles.length).fill(null));
+    
+    for (let i = 0; i < profiles.length; i++) {
+      matrix[i][i] = { similarity: 1, distance: 0, featureCount: 0 };
+      for (let j = i + 1; j < profiles.length; j++) {
+        const result = compareFeatureSets(features[i], features[j], metricId);
+        matrix[i][j] = result;
+        matrix[j][i] = result;
+      }
+    }
+    
+    state.comparison = { profiles, metricId, matrix };
+    
+    [els.comparison.pairA, els.comparison.pairB].forEach((select, selectIdx) => {
+      select.innerHTML = '';
+      profiles.forEach((profile, index) => select.add(new Option(`${index + 1}. ${profile.name}`, String(index))));
+      select.value = String(selectIdx);
+    });
+    
+    let status = `${DISTANCE_METRICS[metricId].label} / ${profiles.length} profiles`;
+    if (candidates.length > profiles.length) {
+      status += `（最新${COMPARE_MAX_PROFILES}件のみ。対象はProfiles一覧で選択できます）`;
+    }
+    els.comparison.status.textContent = status;
+    
+    els.comparison.section.style.display = 'block';
+    renderComparisonPair();
+    els.comparison.section.scrollIntoView({ behavior: 'smooth', block: 'start' });
+  }
+
+  function closeComparison() {
+    state.comparison = null;
+    els.comparison.section.style.display = 'none';
+  }
+
+  function getComparisonPair() {
+    const { profiles, matrix } = state.comparison;
+    const a = parseInt(els.comparison.pairA.value, 10) || 0;
+    const b = parseInt(els.comparison.pairB.value, 10) || 0;
+    return { a, b, profileA: profiles[a], profileB: profiles[b], result: matrix[a][b] };
+  }
+
+  // Blue (dissimilar) to yellow/red (similar), matching the heatmap palette
+  function similarityColor(similarity) {
+    const isLight = document.documentElement.classList.contains('light-mode');
+    const v = Math.max(0, Math.min(1, similarity));
+    if (isLight) {
+      return `rgba(${Math.floor(30 + v * 200)}, ${Math.floor(100 - v * 80)}, ${Math.floor(255 - v * 100)}, ${0.4 + v * 0.6})`;
+    }
+    return `rgba(${Math.floor(v * 255)}, ${Math.floor(v * 180)}, ${Math.floor(255 - v * 255)}, ${0.6 + v * 0.4})`;
+  }
+
+  function renderSimilarityMatrix() {
+    try {
+      const container = els.comparison.matrix;
+      const { profiles, matrix } = state.comparison;
+      const n = profiles.length;
+      const labelWidth = 140;
+      const top = 30;
+      const cellSize = Math.max(14, Math.min(48, Math.floor((Math.max(300, container.offsetWidth - 28) - labelWidth - 20) / n)));
+      
+      container.innerHTML = '';
+      const canvas = createCanvas(container, top + n * cellSize + 10);
+      if (!canvas) return;
+      canvas.width = Math.max(canvas.width, labelWidth + n * cellSize + 20);
+      
+      const ctx = canvas.getContext('2d');
+      const colors = getThemeColors();
+      ctx.clearRect(0, 0, canvas.width, canvas.height);
+      
+      // Column numbers on top, names on the left
+      ctx.font = '10px monospace';
+      ctx.textBaseline = 'middle';
+      ctx.fillStyle = colors.muted;
+      ctx.textAlign = 'center';
+      profiles.forEach((profile, j) => {
+        ctx.fillText(String(j + 1), labelWidth + j * cellSize + cellSize / 2, top - 10);
+      });
+      ctx.textAlign = 'right';
+      profiles.forEach((profile, i) => {
+        const label = `${i + 1}. ${profile.name}`;
+        ctx.fillStyle = colors.text;
+        ctx.fillText(label.length > 20 ? label.slice(0, 19) + '…' : label, labelWidth - 6, top + i * cellSize + cellSize / 2);
+      });
+      
+      ctx.textAlign = 'center';
+      for (let i = 0; i < n; i++) {
+        for (let j = 0; j < n; j++) {
+          const x = labelWidth + j * cellSize;
+          const y = top + i * cellSize;
+          ctx.fillStyle = similarityColor(matrix[i][j].similarity);
+          ctx.fillRect(x, y, cellSize - 1, cellSize - 1);
+          if (cellSize >= 30) {
+            ctx.fillStyle = colors.text;
+            ctx.fillText((matrix[i][j].similarity * 100).toFixed(0), x + cellSize / 2, y + cellSize / 2);
+          }
+        }
+      }
+      
+      // Outline the pair shown below
+      const { a, b } = getComparisonPair();
+      ctx.strokeStyle = colors.text;
+      ctx.lineWidth = 2;
+      ctx.strokeRect(labelWidth + b * cellSize, top + a * cellSize, cellSize - 1, cellSize - 1);
+      ctx.lineWidth = 1;
+      ctx.textBaseline = 'alphabetic';
+      ctx.textAlign = 'left';
+      
+      // Clicking a cell selects that pair for the detail views
+      canvas.onclick = event => {
+        const rect = canvas.getBoundingClientRect();
+        const scaleX = canvas.width / rect.width;
+        const scaleY = canvas.height / rect.height;
+        const col = Math.floor(((event.clientX - rect.left) * scaleX - labelWidth) / cellSize);
+        const row = Math.floor(((event.clientY - rect.top) * scaleY - top) / cellSize);
+        if (row < 0 || col < 0 || row >= n || col >= n) return;
+        els.comparison.pairA.value = String(row);
+        els.comparison.pairB.value = String(col);
+        renderComparisonPair();
+      };
+    } catch (error) {
+      console.error('Error in renderSimilarityMatrix:', error);
+    }
+  }
+
+  // Redraws the matrix as well so the selected cell stays outlined
+  function renderComparisonPair() {
+    if (!state.comparison) return;
+    const { profileA, profileB, result } = getComparisonPair();
+    
+    els.comparison.pairScore.textContent = `${(result.similarity * 100).toFixed(1)}% similar` +
+      ` (d=${result.distance.toFixed(2)}, ${result.featureCount} features)`;
+    const shiftSummary = profile => Array.isArray(profile.events) && profile.events.length > 0 ?
+      formatShiftSummary(analyzeModifiers(profile.events)) : '—';
+    els.comparison.shift.textContent = `Shift — ${profileA.name}: ${shiftSummary(profileA)} ｜ ${profileB.name}: ${shiftSummary(profileB)}`;
+    els.comparison.heatmapATitle.textContent = `Dwell: ${profileA.name}`;
+    els.comparison.heatmapBTitle.textContent = `Dwell: ${profileB.name}`;
+    
+    renderSimilarityMatrix();
+    renderComparisonRhythm(profileA, profileB);
+    renderComparisonHeatmaps(profileA, profileB);
+    renderComparisonDigraphs(profileA, profileB);
+  }
+
+  function renderComparisonRhythm(profileA, profileB) {
+    try {
+      const container = els.comparison.rhythm;
+      container.innerHTML = '';
+      const canvas = createCanvas(container, 200);
+      if (!canvas) return;
+      
+      const ctx = canvas.getContext('2d');
+      const colors = getThemeColors();
+      const isLight = document.documentElement.classList.contains('light-mode');
+      const seriesA = Array.isArray(profileA.metrics.ddTimes) ? profileA.metrics.ddTimes : [];
+      const seriesB = Array.isArray(profileB.metrics.ddTimes) ? profileB.metrics.ddTimes : [];
+      const width = canvas.width;
+      const height = canvas.height;
+      const padding = 40;
+      const plotW = width - 2 * padding;
+      const plotH = height - 2 * padding;
+      
+      ctx.clearRect(0, 0, width, height);
+      ctx.strokeStyle = colors.border;
+      ctx.strokeRect(padding, padding, plotW, plotH);
+      
+      const longest = Math.max(seriesA.length, seriesB.length);
+      if (longest < 2) {
+        ctx.fillStyle = colors.muted;
+        ctx.font = '12px monospace';
+        ctx.textAlign = 'center';
+        ctx.fillText('No interval data', width / 2, height / 2);
+        ctx.textAlign = 'left';
+        return;
+      }
+      
+      const maxV = Math.max(1, ...seriesA, ...seriesB);
+      const xOf = i => padding + i / (longest - 1) * plotW;
+      const yOf = v => height - padding - Math.min(v, maxV) / maxV * plotH;
+      const drawSeries = (series, color) => {
+        ctx.strokeStyle = color;
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        series.forEach((v, i) => {
+          if (i === 0) ctx.moveTo(xOf(i), yOf(v));
+          else ctx.lineTo(xOf(i), yOf(v));
+        });
+        ctx.stroke();
+      };
+      const colorB = isLight ? '#DC2626' : '#FCA5A5';
+      drawSeries(seriesA, colors.primary);
+      drawSeries(seriesB, colorB);
+      
+      ctx.font = '10px monospace';
+      ctx.textAlign = 'left';
+      ctx.fillStyle = colors.primary;
+      ctx.fillText(`A: ${profileA.name}`.slice(0, 30), padding + 4, padding - 8);
+      ctx.fillStyle = colorB;
+      ctx.fillText(`B: ${profileB.name}`.slice(0, 30), padding + plotW / 2, padding - 8);
+      ctx.fillStyle = colors.muted;
+      ctx.font = '9px monospace';
+      ctx.textAlign = 'right';
+      ctx.fillText(`${maxV.toFixed(0)}ms`, padding - 4, padding + 3);
+      ctx.fillText('0', padding - 4, height - padding + 3);
+      ctx.textAlign = 'center';
+      ctx.fillText('keystroke # (DD interval)', width / 2, height - 6);
+      ctx.textAlign = 'left';
+    } catch (error) {
+      console.error('Error in renderComparisonRhythm:', error);
+    }
+  }
+
+  // Both keyboards share one dwell scale so colour differences are real differences
+  function renderComparisonHeatmaps(profileA, profileB) {
+    const eventsA = Array.isArray(profileA.events) ? profileA.events : [];
+    const eventsB = Array.isArray(profileB.events) ? profileB.events : [];
+    const dwellOf = events => HEATMAP_METRICS.dwellMean.compute(buildKeystrokes(events));
+    const values = [...dwellOf(eventsA).values(), ...dwellOf(eventsB).values()];
+    const range = values.length > 0 ? { min: Math.min(...values), max: Math.max(...values) } : undefined;
+    
+    [[els.comparison.heatmapA, eventsA], [els.comparison.heatmapB, eventsB]].forEach(([container, events]) => {
+      container.innerHTML = '';
+      renderHeatmap(undefined, container, events, { metric: 'dwellMean', range });
+    });
+  }
+
+  function getProfileDigraphTimings(profile) {
+    const timings = new Map();
+    if (!Array.isArray(profile.digraphs)) return timings;
+    profile.digraphs.forEach(entry => {
+      if (!Array.isArray(entry) || typeof entry[0] !== 'string' || !entry[1]) return;
+      const data = entry[1];
+      const dd = Array.isArray(data.DD) ? data.DD : [];
+      const ud = Array.isArray(data.UD) ? data.UD : [];
+      if (dd.length === 0) return;
+      timings.set(entry[0], {
+        label: Array.isArray(data.keys) ? formatNgram(data.keys) : entry[0],
+        dd: average(dd),
+        ud: ud.length > 0 ? average(ud) : null
+      });
+    });
+    return timings;
+  }
+
+  function renderComparisonDigraphs(profileA, profileB) {
+    const tbody = els.comparison.tbody;
+    const timingsA = getProfileDigraphTimings(profileA);
+    const timingsB = getProfileDigraphTimings(profileB);
+    const shared = Array.from(timingsA.keys())
+      .filter(gram => timingsB.has(gram))
+      .map(gram => {
+        const a = timingsA.get(gram);
+        const b = timingsB.get(gram);
+        return {
+          label: a.label,
+          a,
+          b,
+          deltaDD: b.dd - a.dd,
+          deltaUD: a.ud !== null && b.ud !== null ? b.ud - a.ud : null
+        };
+      })
+      .sort((x, y) => Math.abs(y.deltaDD) - Math.abs(x.deltaDD));
+    
+    tbody.innerHTML = '';
+    if (shared.length === 0) {
+      tbody.innerHTML = '<tr><td colspan="7" class="muted center">No shared digraphs</td></tr>';
+      return;
+    }
+    const fmt = value => value === null ? '—' : `${value.toFixed(0)}ms`;
+    const fmtDelta = value => value === null ? '—' : `${value > 0 ? '+' : ''}${value.toFixed(0)}ms`;
+    shared.forEach(d => {
+      const row = tbody.insertRow();
+      // textContent keeps typed characters like "<" from being parsed as markup
+      [d.label, fmt(d.a.dd), fmt(d.b.dd), fmtDelta(d.deltaDD), fmt(d.a.ud), fmt(d.b.ud), fmtDelta(d.deltaUD)]
+        .forEach(text => {
+          row.insertCell().textContent = text;
+        });
+    });
+  }
+
+  // ====== Distance metrics ======
+
+  // Floor for per-feature spread (ms) so single-sample references stay comparable
+  const MIN_FEATURE_STD = 10;
+
+  /**
+   * Classic keystroke-dynamics detectors (Killourhy & Maxion, 2009).
+   * Each metric returns a distance between a probe feature vector and a reference
+   * built by buildReference(); `scale` maps that distance onto a 0-1 similarity.
+   */
+  const DISTANCE_METRICS = {
+    euclidean: {
+      label: 'Euclidean',
+      scale: 50, // ms
+      distance(probe, ref, names) {
+        // Root mean square so the value stays in ms regardless of feature count
+        return Math.sqrt(average(names.map(n => Math.pow(probe[n] - ref.mean[n], 2))));
+      }
+    },
+    manhattan: {
+      label: 'Manhattan',
+      scale: 50, // ms
+      distance(probe, ref, names) {
+        return average(names.map(n => Math.abs(probe[n] - ref.mean[n])));
+      }
+    },
+    scaledManhattan: {
+      label: 'Scaled Manhattan',
+      scale: 1,
+      distance(probe, ref, names) {
+        return average(names.map(n =>
+          Math.abs(probe[n] - ref.mean[n]) / Math.max(ref.mad[n], MIN_FEATURE_STD)
+        ));
+      }
+    },
+    mahalanobis: {
+      label: 'Mahalanobis',
+      scale: 1,
+      distance(probe, ref, names) {
+        const diff = names.map(n => probe[n] - ref.mean[n]);
+        
+        // The factorization only depends on the reference, so reuse it across probes
+        const cacheKey = names.join('\u0000');
+        if (!ref.choleskyCache) ref.choleskyCache = new Map();
+        if (!ref.choleskyCache.has(cacheKey)) {
+          ref.choleskyCache.set(cacheKey, choleskyDecompose(covarianceMatrix(ref.samples, names, ref.mean)));
+        }
+        
+        const solved = choleskySolve(ref.choleskyCache.get(cacheKey), diff);
+        const squared = diff.reduce((sum, d, i) => sum + d * solved[i], 0);
+        return Math.sqrt(Math.max(0, squared) / names.length);
+      }
+    },
+    zscore: {
+      label: 'Z-score',
+      scale: 1,
+      distance(probe, ref, names) {
+        // Share of features falling outside the 95% band, scaled to 0-10
+        const outside = names.filter(n =>
+          Math.abs(probe[n] - ref.mean[n]) / Math.max(ref.std[n], MIN_FEATURE_STD) > 1.96
+        ).length;
+        return (outside / names.length) * 10;
+      }
+    }
+  };
+
+  function getSelectedMetric() {
+    const selected = els.compareMetric.value;
+    return DISTANCE_METRICS[selected] ? selected : 'scaledManhattan';
+  }
+
+  function buildReference(samples) {
+    // Only features present in every sample can be compared reliably
+    const names = Object.keys(samples[0]).filter(name => samples.every(s => name in s));
+    const mean = {};
+    const std = {};
+    const mad = {};
+    names.forEach(name => {
+      const values = samples.map(s => s[name]);
+      mean[name] = average(values);
+      std[name] = standardDeviation(values);
+      mad[name] = average(values.map(v => Math.abs(v - mean[name])));
+    });
+    
+    return { sampleCount: samples.length, samples, mean, std, mad };
+  }
+
+  function compareFeatures(probe, reference, metricId) {
+    const metric = DISTANCE_METRICS[metricId] || DISTANCE_METRICS.scaledManhattan;
+    const names = Object.keys(reference.mean).filter(name => name in probe);
+    if (names.length === 0) return { distance: Infinity, similarity: 0, featureCount: 0 };
+    
+    const distance = metric.distance(probe, reference, names);
+    return {
+      distance,
+      similarity: 1 / (1 + distance / metric.scale),
+      featureCount: names.length
+    };
+  }
+
+  function getProfileFeatures(profile) {
+    const features = extractFeatures(profile.events || [], profile.digraphs || []);
+    if (Object.keys(features).length > 0) return features;
+    
+    // Profiles without raw events fall back to the summary averages
+    const m = profile.metrics || {};
+    return { avgDwell: m.avgDwell || 0, avgFlight: m.avgFlight || 0, avgDD: m.avgDD || 0 };
+  }
+
+  function calculateSimilarity(p1, p2, metricId) {
+    return compareFeatureSets(getProfileFeatures(p1), getProfileFeatures(p2), metricId);
+  }
+
+  function compareFeatureSets(f1, f2, metricId) {
+    // Single-sample references are asymmetric for spread-based metrics, so average both directions
+    const a = compareFeatures(f2, buildReference([f1]), metricId);
+    const b = compareFeatures(f1, buildReference([f2]), metricId);
+    
+    return {
+      distance: (a.distance + b.distance) / 2,
+      similarity: (a.similarity + b.similarity) / 2,
+      featureCount: Math.min(a.featureCount, b.featureCount)
+    };
+  }
+
+  function covarianceMatrix(samples, names, mean) {
+    const d = names.length;
+    const cov = Array.from({ length: d }, () => new Array(d).fill(0));
+    
+    samples.forEach(sample => {
+      for (let i = 0; i < d; i++) {
+        const di = sample[names[i]] - mean[names[i]];
+        for (let j = i; j < d; j++) {
+          cov[i][j] += di * (sample[names[j]] - mean[names[j]]) / samples.length;
+        }
+      }
+    });
+    
+    // Mirror and regularize: with fewer samples than features the raw matrix is singular
+    for (let i = 0; i < d; i++) {
+      for (let j = 0; j < i; j++) cov[i][j] = cov[j][i];
+      cov[i][i] += MIN_FEATURE_STD * MIN_FEATURE_STD;
+    }
+    return cov;
+  }
+
+  // Lower-triangular L with A = L·Lᵀ for a symmetric positive-definite A
+  function choleskyDecompose(a) {
+    const n = a.length;
+    const l = Array.from({ length: n }, () => new Array(n).fill(0));
+    
+    for (let i = 0; i < n; i++) {
+      for (let j = 0; j <= i; j++) {
+        let sum = a[i][j];
+        for (let k = 0; k < j; k++) sum -= l[i][k] * l[j][k];
+        l[i][j] = i === j ? Math.sqrt(Math.max(sum, 1e-9)) : sum / l[j][j];
+      }
+    }
+    return l;
+  }
+
+  // Solves L·Lᵀ x = b by forward then back substitution
+  function choleskySolve(l, b) {
+    const n = b.length;
+    const y = new Array(n).fill(0);
+    for (let i = 0; i < n; i++) {
+      let sum = b[i];
+      for (let k = 0; k < i; k++) sum -= l[i][k] * y[k];
+      y[i] = sum / l[i][i];
+    }
+    const x = new Array(n).fill(0);
+    for (let i = n - 1; i >= 0; i--) {
+      let sum = y[i];
+      for (let k = i + 1; k < n; k++) sum -= l[k][i] * x[k];
+      x[i] = sum / l[i][i];
+    }
+    return x;
+  }
+
+  // ====== Session history ======
+
+  const HISTORY_SERIES = {
+    wpm: { label: 'WPM', unit: '' },
+    stability: { label: '安定性', unit: '%' },
+    avgDwell: { label: '平均Dwell', unit: 'ms' },
+    avgFlight: { label: '平均Flight', unit: 'ms' },
+    errorRate: { label: 'エラー率', unit: '%' }
+  };
+
+  // Digraph trends need the digraph in at least this many sessions
+  const HISTORY_MIN_DIGRAPH_SESSIONS = 3;
+
+  function getProfileDigraphLatencies(profile) {
+    const latencies = new Map();
+    if (!Array.isArray(profile.digraphs)) return latencies;
+    profile.digraphs.forEach(entry => {
+      if (!Array.isArray(entry) || typeof entry[0] !== 'string') return;
+      const data = entry[1];
+      if (!data || !Array.isArray(data.DD) || data.DD.length === 0) return;
+      const label = Array.isArray(data.keys) ? formatNgram(data.keys) : entry[0];
+      latencies.set(label, average(data.DD));
+    });
+    return latencies;
+  }
+
+  // Error rate per profile object; a session's events, text and phrase are never edited in place
+  const sessionErrorRateCache = new WeakMap();
+
+  /**
+   * One summary per saved session of the subject, oldest first.
+   * Error rate is only known for sessions saved with their target phrase.
+   */
+  function buildSessionHistory(profiles, subject) {
+    return profiles
+      .filter(profile => getProfileSubject(profile) === subject)
+      .sort((a, b) => a.timestamp - b.timestamp)
+      .map(profile => {
+        const m = profile.metrics;
+        const cv = ddVariation(m);
+        return {
+          name: profile.name,
+          timestamp: profile.timestamp,
+          wpm: Number.isFinite(m.wpm) ? m.wpm : null,
+          stability: Number.isFinite(cv) ? Math.max(0, 100 - cv) : null,
+          avgDwell: Number.isFinite(m.avgDwell) ? m.avgDwell : null,
+          avgFlight: Number.isFinite(m.avgFlight) ? m.avgFlight : null,
+          errorRate: getSessionErrorRate(profile),
+          digraphs: getProfileDigraphLatencies(profile)
+        };
+      });
+  }
+
+  // Accuracy needs an O(n·m) alignment and history re-renders on every updateUI(), so compute it once
+  function getSessionErrorRate(profile) {
+    if (!sessionErrorRateCache.has(profile)) {
+      const events = Array.isArray(profile.events) ? profile.events : [];
+      const accuracy = typeof profile.phrase === 'string' && typeof profile.text === 'string' ?
+        analyzeAccuracy(events, profile.text, profile.phrase, profile.metrics) : null;
+      sessionErrorRateCache.set(profile, accuracy ? accuracy.totalErrorRate : null);
+    }
+    return sessionErrorRateCache.get(profile);
+  }
+
+  // Trailing moving average that skips missing values
+  function movingAverage(values, windowSize) {
+    return values.map((value, i) => {
+      if (value === null) return null;
+      const windowValues = values.slice(Math.max(0, i - windowSize + 1), i + 1).filter(v => v !== null);
+      return average(windowValues);
+    });
+  }
+
+  // Least-squares slope of ys over xs
+  function linearSlope(xs, ys) {
+    const meanX = average(xs);
+    const meanY = average(ys);
+    let num = 0;
+    let den = 0;
+    xs.forEach((x, i) => {
+      num += (x - meanX) * (ys[i] - meanY);
+      den += (x - meanX) * (x - meanX);
+    });
+    return den > 0 ? num / den : 0;
+  }
+
+  /**
+   * Per-digraph DD mean across sessions, with the least-squares slope in
+   * ms per session; negative slopes mean the digraph is getting faster.
+   */
+  function computeDigraphTrends(sessions) {
+    const series = new Map();
+    sessions.forEach((session, sessionIdx) => {
+      session.digraphs.forEach((latency, label) => {
+        if (!series.has(label)) series.set(label, []);
+        series.get(label).push({ sessionIdx, latency });
+      });
+    });
+    
+    return Array.from(series.entries())
+      .filter(([, points]) => points.length >= HISTORY_MIN_DIGRAPH_SESSIONS)
+      .map(([label, points]) => {
+        const first = points[0].latency;
+        const last = points[points.length - 1].latency;
+        return {
+          label,
+          sessions: points.length,
+          first,
+          last,
+          change: first > 0 ? (last - first) / first * 100 : 0,
+          slope: linearSlope(points.map(p => p.sessionIdx), points.map(p => p.latency))
+        };
+      })
+      .sort((a, b) => a.slope - b.slope);
+  }
+
+  function refreshHistorySubjects() {
+    const select = els.history.subject;
+    const previous = select.value;
+    const counts = new Map();
+    state.profiles.forEach(profile => {
+      const subject = getProfileSubject(profile);
+      counts.set(subject, (counts.get(subject) || 0) + 1);
+    });
+    
+    select.innerHTML = '';
+    Array.from(counts.keys()).sort().forEach(subject => {
+      select.add(new Option(`${subject} (${counts.get(subject)})`, subject));
+    });
+    if (counts.has(previous)) {
+      select.value = previous;
+    }
+    
+    renderHistory();
+  }
+
+  function renderHistory() {
+    const subject = els.history.subject.value;
+    const sessions = subject ? buildSessionHistory(state.profiles, subject) : [];
+    const windowSize = getPositiveInt(els.history.window, 3);
+    const seriesId = HISTORY_SERIES[els.history.series.value] ? els.history.series.value : 'wpm';
+    const series = HISTORY_SERIES[seriesId];
+    
+    if (sessions.length === 0) {
+      els.history.status.textContent = '保存済みプロファイルがありません。同じ名前で複数回保存すると推移を表示します。';
+    } else {
+      const first = new Date(sessions[0].timestamp).toLocaleDateString();
+      const last = new Date(sessions[sessions.length - 1].timestamp).toLocaleDateString();
+      els.history.status.textContent = `${subject}: ${sessions.length}セッション（${first} 〜 ${last}）`;
+    }
+    
+    renderHistoryChart(els.history.chart, sessions, sessions.map(session => session[seriesId]), series, windowSize);
+    
+    // Digraph improvement table
+    const trends = computeDigraphTrends(sessions);
+    const tbody = els.history.tbody;
+    tbody.innerHTML = '';
+    if (trends.length === 0) {
+      tbody.innerHTML = `<tr><td colspan="6" class="muted center">${HISTORY_MIN_DIGRAPH_SESSIONS}セッション以上に現れるDigraphがありません</td></tr>`;
+    }
+    const fmt = value => `${value.toFixed(0)}ms`;
+    trends.forEach(trend => {
+      const row = tbody.insertRow();
+      row.className = trend.slope < 0 ? 'trend-improving' : trend.slope > 0 ? 'trend-worsening' : '';
+      [
+        trend.label,
+        String(trend.sessions),
+        fmt(trend.first),
+        fmt(trend.last),
+        `${trend.change > 0 ? '+' : ''}${trend.change.toFixed(0)}%`,
+        `${trend.slope > 0 ? '+' : ''}${trend.slope.toFixed(1)}ms`
+      ].forEach(text => {
+        row.insertCell().textContent = text;
+      });
+    });
+    
+    // Digraph selector follows the table order; keep the current choice when possible
+    const digraphSelect = els.history.digraph;
+    const previousDigraph = digraphSelect.value;
+    digraphSelect.innerHTML = '';
+    trends.forEach(trend => digraphSelect.add(new Option(trend.label, trend.label)));
+    if (trends.some(trend => trend.label === previousDigraph)) {
+      digraphSelect.value = previousDigraph;
+    }
+    const digraph = digraphSelect.value;
+    renderHistoryChart(els.history.digraphChart, sessions,
+      sessions.map(session => session.digraphs.has(digraph) ? session.digraphs.get(digraph) : null),
+      { label: digraph ? `${digraph} DD` : 'Digraph DD', unit: 'ms' }, windowSize);
+  }
+
+  function renderHistoryChart(container, sessions, values, series, windowSize) {
+    try {
+      const canvas = createCanvas(container, 200);
+      if (!canvas) return;
+      
+      const ctx = canvas.getContext('2d');
+      const colors = getThemeColors();
+      const width = canvas.width;
+      const height = canvas.height;
+      const padding = 40;
+      const plotW = width - 2 * padding;
+      const plotH = height - 2 * padding;
+      
+      ctx.clearRect(0, 0, width, height);
+      ctx.strokeStyle = colors.border;
+      ctx.lineWidth = 1;
+      ctx.strokeRect(padding, padding, plotW, plotH);
+      
+      const present = values.filter(v => v !== null);
+      if (present.length === 0) {
+        ctx.fillStyle = colors.muted;
+        ctx.font = '12px monospace';
+        ctx.textAlign = 'center';
+        ctx.fillText('No data', width / 2, height / 2);
+        ctx.textAlign = 'left';
+        return;
+      }
+      
+      // Pad the value range so flat series stay visible
+      let minV = Math.min(...present);
+      let maxV = Math.max(...present);
+      const margin = (maxV - minV) * 0.1 || Math.max(1, Math.abs(maxV) * 0.1);
+      minV = Math.max(0, minV - margin);
+      maxV += margin;
+      
+      const xOf = i => padding + (values.length > 1 ? i / (values.length - 1) : 0.5) * plotW;
+      const yOf = v => height - padding - (v - minV) / (maxV - minV) * plotH;
+      
+      const drawLine = (points, color, dash) => {
+        ctx.strokeStyle = color;
+        ctx.lineWidth = 2;
+        ctx.setLineDash(dash);
+        ctx.beginPath();
+        let started = false;
+        points.forEach((v, i) => {
+          if (v === null) return;
+          if (!started) ctx.moveTo(xOf(i), yOf(v));
+          else ctx.lineTo(xOf(i), yOf(v));
+          started = true;
+        });
+        ctx.stroke();
+        ctx.setLineDash([]);
+      };
+      
+      drawLine(values, colors.primary, []);
+      drawLine(movingAverage(values, windowSize), colors.secondary, [6, 4]);
+      
+      ctx.fillStyle = colors.primary;
+      values.forEach((v, i) => {
+        if (v === null) return;
+        ctx.beginPath();
+        ctx.arc(xOf(i), yOf(v), 3, 0, 2 * Math.PI);
+        ctx.fill();
+      });
+      
+      // Labels
+      ctx.font = '10px monospace';
+      ctx.textAlign = 'left';
+      ctx.fillStyle = colors.primary;
+      ctx.fillText(series.label, padding + 4, padding - 8);
+      ctx.fillStyle = colors.secondary;
+      ctx.fillText(`移動平均 (${windowSize})`, padding + 120, padding - 8);
+      
+      ctx.fillStyle = colors.muted;
+      ctx.font = '9px monospace';
+      ctx.textAlign = 'right';
+      ctx.fillText(`${maxV.toFixed(0)}${series.unit}`, padding - 4, padding + 3);
+      ctx.fillText(`${minV.toFixed(0)}${series.unit}`, padding - 4, height - padding + 3);
+      ctx.textAlign = 'center';
+      ctx.fillText(new Date(sessions[0].timestamp).toLocaleDateString(), xOf(0), height - padding + 14);
+      if (sessions.length > 1) {
+        ctx.fillText(new Date(sessions[sessions.length - 1].timestamp).toLocaleDateString(), xOf(sessions.length - 1), height - padding + 14);
+      }
+      ctx.fillText('session', width / 2, height - 6);
+      
+      ctx.textAlign = 'left';
+    } catch (error) {
+      console.error('Error in renderHistoryChart:', error);
+    }
+  }
+
+  // ====== Synthetic typist ======
+
+  const SYNTHETIC_MAX_TEXT = 2000;
+  const LEFT_HAND_CODES = new Set([
+    'Backquote', 'Digit1', 'Digit2', 'Digit3', 'Digit4', 'Digit5',
+    'KeyQ', 'KeyW', 'KeyE', 'KeyR', 'KeyT', 'KeyA', 'KeyS', 'KeyD', 'KeyF', 'KeyG',
+    'KeyZ', 'KeyX', 'KeyC', 'KeyV', 'KeyB'
+  ]);
+  const US_PUNCTUATION_CODES = {
+    '`': 'Backquote', '-': 'Minus', '=': 'Equal', '[': 'BracketLeft', ']': 'BracketRight', '\\': 'Backslash',
+    ';': 'Semicolon', '\'': 'Quote', ',': 'Comma', '.': 'Period', '/': 'Slash'
+  };
+  const US_SHIFTED_CHARS = {
+    '~': '`', '!': '1', '@': '2', '#': '3', '$': '4', '%': '5', '^': '6', '&': '7', '*': '8', '(': '9', ')': '0',
+    '_': '-', '+': '=', '{': '[', '}': ']', '|': '\\', ':': ';', '"': '\'', '<': ',', '>': '.', '?': '/'
+  };
+
+  // Mulberry32: small seeded PRNG so a seed always reproduces the same session
+  function createRandom(seed) {
+    let a = seed >>> 0;
+    return () => {
+      a = (a + 0x6D2B79F5) >>> 0;
+      let t = a;
+      t = Math.imul(t ^ (t >>> 15), t | 1);
+      t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+      return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+  }
+
+  // Standard normal sample (Box-Muller)
+  function randomNormal(random) {
+    const u = Math.max(random(), Number.EPSILON);
+    return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * random());
+  }
+
+  // Deterministic value in [0, 1) for a label, so per-key traits stay fixed for a typist
+  function hashUnit(seed, label) {
+    let h = 0x811C9DC5 ^ seed;
+    for (let i = 0; i < label.length; i++) {
+      h = Math.imul(h ^ label.charCodeAt(i), 0x01000193);
+    }
+    return (h >>> 0) / 4294967296;
+  }
+
+  // US-layout code and Shift state for a character; null for characters without a key
+  function charToKeystroke(ch) {
+    if (ch === ' ') return { code: 'Space', shift: false };
+    if (/^[a-z]$/.test(ch)) return { code: `Key${ch.toUpperCase()}`, shift: false };
+    if (/^[A-Z]$/.test(ch)) return { code: `Key${ch}`, shift: true };
+    if (/^[0-9]$/.test(ch)) return { code: `Digit${ch}`, shift: false };
+    if (US_PUNCTUATION_CODES[ch]) return { code: US_PUNCTUATION_CODES[ch], shift: false };
+    if (US_SHIFTED_CHARS[ch]) {
+      const base = US_SHIFTED_CHARS[ch];
+      return { code: US_PUNCTUATION_CODES[base] || `Digit${base}`, shift: true };
+    }
+    return null;
+  }
+
+  /**
+   * Typist traits. Speeds and rates come from the form; per-key dwell and
+   * per-digraph latency offsets are hashed from the seed, so the same seed
+   * types the same key pairs the same way in every session.
+   */
+  function createTypistModel(seed, params) {
+    const variation = params.variation;
+    const ddMean = 60000 / (params.wpm * 5); // 5 characters per word
+    return {
+      ...params,
+      seed,
+      keyDwell(code) {
+        return params.dwell * (1 + variation * (hashUnit(seed, `H.${code}`) * 2 - 1));
+      },
+      digraphLatency(prev, next) {
+        if (!prev) return ddMean;
+        let factor = 1 + variation * (hashUnit(seed, `DD.${prev}|${next}`) * 2 - 1);
+        if (prev === next) {
+          factor *= 1.15; // Same finger twice
+        } else if (LEFT_HAND_CODES.has(prev) !== LEFT_HAND_CODES.has(next)) {
+          factor *= 0.85; // Hand alternation
+        }
+        if (prev === 'Space') factor *= 1.2; // Word boundary
+        return ddMean * factor;
+      }
+    };
+  }
+
+  // Planned key presses for the text, including typos and their Backspace corrections
+  function planSyntheticStrokes(text, model, random) {
+    const chars = Array.from(text);
+    const strokes = [];
+    const press = ch => {
+      const keystroke = charToKeystroke(ch);
+      if (keystroke) strokes.push({ key: ch, ...keystroke });
+    };
+    const letters = 'abcdefghijklmnopqrstuvwxyz';
+    
+    chars.forEach((ch, i) => {
+      if (/^[a-z]$/i.test(ch) && random() < model.errorRate) {
+        let typo = letters[Math.floor(random() * letters.length)];
+        if (typo === ch.toLowerCase()) typo = letters[(letters.indexOf(typo) + 1) % letters.length];
+        press(typo);
+        // Sometimes the typo is only noticed one character later
+        let wrong = 1;
+        if (i + 1 < chars.length && charToKeystroke(chars[i + 1]) && random() < 0.3) {
+          press(chars[i + 1]);
+          wrong++;
+        }
+        for (let k = 0; k < wrong; k++) {
+          strokes.push({ key: 'Backspace', code: 'Backspace', shift: false, correction: k === 0 });
+        }
+      }
+      press(ch);
+    });
+    return strokes;
+  }
+
+  /**
+   * Keydown/keyup events in the same shape handleKeyDown/handleKeyUp record.
+   * Flight times follow the digraph latencies with Gaussian jitter and slow
+   * down linearly with fatigue; rollover holds a key past the next keydown.
+   * Shift is held over runs of shifted characters on the opposite hand.
+   */
+  function generateSyntheticEvents(text, model, sessionSeed) {
+    const random = createRandom(sessionSeed);
+    const strokes = planSyntheticStrokes(text, model, random);
+    const jitter = () => 1 + model.jitter * randomNormal(random);
+    
+    let t = 250 + random() * 250;
+    strokes.forEach((stroke, i) => {
+      const prev = strokes[i - 1];
+      if (prev) {
+        let dd = model.digraphLatency(prev.code, stroke.code) * jitter() * (1 + model.fatigue * i / 100);
+        if (stroke.correction) dd += 200 + random() * 300; // Noticing the mistake
+        t += Math.max(30, dd);
+      }
+      stroke.down = t;
+      stroke.up = t + Math.max(30, model.keyDwell(stroke.code) * jitter());
+    });
+    
+    strokes.forEach((stroke, i) => {
+      const next = strokes[i + 1];
+      if (!next) return;
+      if (random() < model.rollover) {
+        stroke.up = Math.max(stroke.up, next.down + (stroke.up - stroke.down) * (0.1 + random() * 0.3));
+      }
+      // A key cannot go down again before it has come up
+      for (let j = i + 1; j < strokes.length && strokes[j].down < stroke.up; j++) {
+        if (strokes[j].code === stroke.code) stroke.up = Math.min(stroke.up, strokes[j].down - 5);
+      }
+    });
+    
+    const events = [];
+    const emit = (key, code, down, up) => {
+      events.push({ type: 'down', code, key, t: down });
+      events.push({ type: 'up', code, key, t: up, dwell: up - down });
+    };
+    let shiftRun = null;
+    const shiftReleased = { ShiftLeft: 0, ShiftRight: 0 };
+    strokes.forEach((stroke, i) => {
+      if (stroke.shift && !shiftRun) {
+        const code = LEFT_HAND_CODES.has(stroke.code) ? 'ShiftRight' : 'ShiftLeft';
+        shiftRun = { code, down: Math.max(stroke.down - (30 + random() * 40), shiftReleased[code] + 1) };
+      }
+      emit(stroke.key, stroke.code, stroke.down, stroke.up);
+      const next = strokes[i + 1];
+      if (shiftRun && (!next || !next.shift)) {
+        // Released shortly after the last shifted key, but before the next unshifted one goes down
+        let up = stroke.up + 10 + random() * 30;
+        if (next) up = Math.min(up, next.down - 5);
+        up = Math.max(up, stroke.down + 5);
+        emit('Shift', shiftRun.code, shiftRun.down, up);
+        shiftReleased[shiftRun.code] = up;
+        shiftRun = null;
+      }
+    });
+    
+    // Stable sort keeps each keydown before its keyup at equal times
+    return events.sort((a, b) => a.t - b.t);
+  }
+
+  function readSyntheticParams() {
+    const v = els.synthetic;
+    const number = (input, fallback, min, max) => {
+      const n = parseFloat(input.value);
+      return Number.isFinite(n) ? Math.min(max, Math.max(min, n)) : fallback;
+    };
+    return {
+      wpm: number(v.wpm, 60, 5, 200),
+      dwell: number(v.dwell, 100, 30, 400),
+      jitter: number(v.jitter, 15, 0, 60) / 100,
+      variation: number(v.variation, 30, 0, 80) / 100,
+      fatigue: number(v.fatigue, 2, 0, 50) / 100,
+      errorRate: number(v.errorRate, 2, 0, 30) / 100,
+      rollover: number(v.rollover, 20, 0, 100) / 100
+    };
+  }
+
+  function getSyntheticText() {
+    const text = els.synthetic.text.value.replace(/\s+/g, ' ').trim().slice(0, SYNTHETIC_MAX_TEXT);
+    return text || DEFAULT_PHRASE;
+  }
+
+  function createSyntheticProfile(name, text, events, extra) {
+    return {
+      name,
+      timestamp: Date.now(),
+      metrics: computeMetrics(events, text),
+      events,
+      digraphs: Array.from(extractNgrams(events, 2).entries()),
+      text,
+      phrase: text,
+      source: 'synthetic',
+      tags: ['synthetic'],
+      ...extra
+    };
+  }
+
+  // One session from the form's typist, shown like a loaded profile
+  function generateSyntheticSession() {
+    if (state.running) return;
+    const seed = getPositiveInt(els.synthetic.seed, 1);
+    const text = getSyntheticText();
+    const events = generateSyntheticEvents(text, createTypistModel(seed, readSyntheticParams()), seed);
+    if (events.length === 0) {
+      els.synthetic.status.textContent = '入力できる文字（半角英数字・記号）がありません。';
+      return;
+    }
+    loadProfileIntoView(createSyntheticProfile(`synthetic seed ${seed}`, text, events, {}));
+    els.synthetic.status.textContent = `seed ${seed}: ${events.length / 2}打鍵を生成しました（同じseedと設定で同じセッションを再現できます）。`;
+  }
+
+  /**
+   * Saves typists x sessions profiles for evaluation. Each typist jitters the
+   * form's parameters from its own seed, so the population has distinct
+   * genuine users and impostors; sessions of one typist vary only by noise.
+   */
+  async function generateSyntheticPopulation() {
+    if (state.running) return;
+    const v = els.synthetic;
+    const seed = getPositiveInt(v.seed, 1);
+    const typists = Math.min(50, getPositiveInt(v.typists, 10));
+    const sessions = Math.min(50, getPositiveInt(v.sessions, 5));
+    const text = getSyntheticText();
+    const base = readSyntheticParams();
+    
+    const profiles = [];
+    for (let i = 0; i < typists; i++) {
+      const typistSeed = seed + i * 7919;
+      const random = createRandom(typistSeed);
+      const spread = (low, high) => low + random() * (high - low);
+      const model = createTypistModel(typistSeed, {
+        ...base,
+        wpm: base.wpm * spread(0.6, 1.4),
+        dwell: base.dwell * spread(0.75, 1.25),
+        fatigue: base.fatigue * spread(0, 2),
+        errorRate: base.errorRate * spread(0.5, 1.5),
+        rollover: Math.min(1, base.rollover * spread(0.5, 1.5))
+      });
+      const subject = `synthetic-${seed}-${String(i + 1).padStart(2, '0')}`;
+      for (let session = 1; session <= sessions; session++) {
+        const events = generateSyntheticEvents(text, model, typistSeed * 31 + session);
+        if (events.length === 0) continue;
+        const profile = createSyntheticProfile(`${subject} s${session}`, text, events, { subject, session });
+        profile.timestamp += profiles.length; // Keep generation order for enrollment splits
+        profiles.push(profile);
+      }
+    }
+    if (profiles.length === 0) {
+      v.status.textContent = '入力できる文字（半角英数字・記号）がありません。';
+      return;
+    }
+    
+    try {
+      await addProfiles(profiles);
+      v.status.textContent = `${typists}人 × ${sessions}セッション（${profiles.length}件）を保存しました。タグ「synthetic」で絞り込めます。`;
+    } catch (err) {
+      alert('Failed to save synthetic profiles: ' + describeStorageError(err));
+    }
+    updateUI();
+  }
+
+  // ====== Biometric evaluation (FAR / FRR / EER) ======
+
+  function getProfileSubject(profile) {
+    return typeof profile.subject === 'string' && profile.subject ? profile.subject : profile.name;
+  }
+
+  function getPositiveInt(input, fallback) {
+    const n = parseInt(input.value, 10);
+    return Number.isFinite(n) && n > 0 ? n : fallback;
+  }
+
+  /**
+   * Killourhy & Maxion style protocol: each subject enrolls on their first
+   * sessions, is probed with the rest (genuine), and with the first few
+   * sessions of every other subject (impostor).
+   */
+  function collectEvaluationScores(profiles, metricId, enrollCount, impostorCount) {
+    const bySubject = new Map();
+    profiles.forEach(profile => {
+      const subject = getProfileSubject(profile);
+      if (!bySubject.has(subject)) bySubject.set(subject, []);
+      bySubject.get(subject).push(profile);
+    });
+    // Enrollment and impostor probes both take the earliest sessions
+    bySubject.forEach(sessions => sessions.sort((a, b) => (a.timestamp || 0) - (b.timestamp || 0)));
+    
+    const featureCache = new Map();
+    const featuresOf = profile => {
+      if (!featureCache.has(profile)) featureCache.set(profile, getProfileFeatures(profile));
+      return featureCache.get(profile);
+    };
+    
+    const genuine = [];
+    const impostor = [];
+    let enrolledSubjects = 0;
+    
+    bySubject.forEach((sessions, subject) => {
+      if (sessions.length < 2) return;
+      
+      const enrollSize = Math.min(enrollCount, sessions.length - 1);
+      const reference = buildReference(sessions.slice(0, enrollSize).map(featuresOf));
+      enrolledSubjects++;
+      
+      sessions.slice(enrollSize).forEach(probe => {
+        genuine.push(compareFeatures(featuresOf(probe), reference, metricId).similarity);
+      });
+      
+      bySubject.forEach((otherSessions, otherSubject) => {
+        if (otherSubject === subject) return;
+        otherSessions.slice(0, impostorCount).forEach(probe => {
+          impostor.push(compareFeatures(featuresOf(probe), reference, metricId).similarity);
+        });
+      });
+    });
+    
+    return { genuine, impostor, subjects: bySubject.size, enrolledSubjects };
+  }
+
+  function computeErrorRates(genuine, impostor, steps = 500) {
+    const g = [...genuine].sort((a, b) => a - b);
+    const im = [...impostor].sort((a, b) => a - b);
+    
+    // Number of sorted values strictly below t
+    const countBelow = (arr, t) => {
+      let lo = 0;
+      let hi = arr.length;
+      while (lo < hi) {
+        const mid = (lo + hi) >> 1;
+        if (arr[mid] < t) lo = mid + 1;
+        else hi = mid;
+      }
+      return lo;
+    };
+    
+    const points = [];
+    for (let k = 0; k <= steps; k++) {
+      const threshold = k / steps;
+      points.push({
+        threshold,
+        far: (im.length - countBelow(im, threshold)) / im.length,
+        frr: countBelow(g, threshold) / g.length
+      });
+    }
+    
+    // FAR falls and FRR rises with the threshold; interpolate where they cross
+    let eer = null;
+    for (let k = 1; k < points.length && !eer; k++) {
+      const prev = points[k - 1];
+      const cur = points[k];
+      const dPrev = prev.far - prev.frr;
+      const dCur = cur.far - cur.frr;
+      if (dPrev >= 0 && dCur <= 0) {
+        const ratio = dPrev === dCur ? 0 : dPrev / (dPrev - dCur);
+        const far = prev.far + ratio * (cur.far - prev.far);
+        const frr = prev.frr + ratio * (cur.frr - prev.frr);
+        eer = {
+          rate: (far + frr) / 2,
+          threshold: prev.threshold + ratio * (cur.threshold - prev.threshold)
+        };
+      }
+    }
+    
+    if (!eer) {
+      // No crossing (e.g. tied scores at the range limits): take the closest point
+      const closest = points.reduce((best, p) =>
+        Math.abs(p.far - p.frr) < Math.abs(best.far - best.frr) ? p : best
+      );
+      eer = { rate: (closest.far + closest.frr) / 2, threshold: closest.threshold };
+    }
+    
+    return { points, eer };
+  }
+
+  function runEvaluation() {
+    const metricId = getSelectedMetric();
+    const enrollCount = getPositiveInt(els.evaluation.enrollCount, 5);
+    const impostorCount = getPositiveInt(els.evaluation.impostorCount, 5);
+    
+    const scores = collectEvaluationScores(state.profiles, metricId, enrollCount, impostorCount);
+    if (scores.genuine.length === 0 || scores.impostor.length === 0) {
+      els.evaluation.status.textContent =
+        '評価には、2件以上のプロファイルを持つ被験者と、別の被験者のプロファイルが必要です。';
+      return;
+    }
+    
+    const rates = computeErrorRates(scores.genuine, scores.impostor);
+    state.evaluation = { ...scores, ...rates, metricId };
+    
+    els.evaluation.eer.textContent = `${(rates.eer.rate * 100).toFixed(2)}%`;
+    els.evaluation.threshold.textContent = `${(rates.eer.threshold * 100).toFixed(1)}%`;
+    els.evaluation.counts.textContent = `${scores.genuine.length} / ${scores.impostor.length}`;
+    els.evaluation.status.textContent =
+      `${DISTANCE_METRICS[metricId].label}: ${scores.enrolledSubjects}/${scores.subjects}被験者を登録、` +
+      `平均スコア 本人 ${(average(scores.genuine) * 100).toFixed(1)}% / 他人 ${(average(scores.impostor) * 100).toFixed(1)}%`;
+    
+    renderEvaluationCharts();
+  }
+
+  // Scores are derived from decrypted profiles, so they go when the vault locks
+  function clearEvaluation() {
+    state.evaluation = null;
+    [els.evaluation.eer, els.evaluation.threshold, els.evaluation.counts].forEach(stat => {
+      stat.textContent = '—';
+    });
+    els.evaluation.rates.innerHTML = '';
+    els.evaluation.roc.innerHTML = '';
+    els.evaluation.status.textContent = 'プロファイル名（または被験者ID）が同じものを同一人物として扱います。';
+  }
+
+  function renderEvaluationCharts() {
+    renderErrorRateCurves();
+    renderRocCurve();
+  }
+
+  function renderErrorRateCurves() {
+    try {
+      const canvas = createCanvas(els.evaluation.rates, 220);
+      if (!canvas || !state.evaluation) return;
+      
+      const ctx = canvas.getContext('2d');
+      const colors = getThemeColors();
+      const isLight = document.documentElement.classList.contains('light-mode');
+      const { points, eer, genuine, impostor } = state.evaluation;
+      
+      const width = canvas.width;
+      const height = canvas.height;
+      const padding = 40;
+      const plotW = width - 2 * padding;
+      const plotH = height - 2 * padding;
+      const xOf = t => padding + t * plotW;
+      const yOf = rate => height - padding - rate * plotH;
+      
+      ctx.clearRect(0, 0, width, height);
+      
+      // Score distributions as faint histograms behind the curves
+      const bins = 40;
+      const histogram = scores => {
+        const counts = new Array(bins).fill(0);
+        scores.forEach(score => counts[Math.min(bins - 1, Math.max(0, Math.floor(score * bins)))]++);
+        const max = Math.max(1, ...counts);
+        return counts.map(c => c / max);
+      };
+      const drawHistogram = (scores, color) => {
+        ctx.fillStyle = color;
+        histogram(scores).forEach((h, i) => {
+          ctx.fillRect(xOf(i / bins), yOf(h), plotW / bins - 1, h * plotH);
+        });
+      };
+      drawHistogram(genuine, isLight ? 'rgba(40, 167, 69, 0.2)' : 'rgba(123, 211, 137, 0.2)');
+      drawHistogram(impostor, isLight ? 'rgba(220, 38, 38, 0.2)' : 'rgba(252, 165, 165, 0.2)');
+      
+      // Axes
+      ctx.strokeStyle = colors.border;
+      ctx.lineWidth = 1;
+      ctx.strokeRect(padding, padding, plotW, plotH);
+      
+      const drawCurve = (key, color) => {
+        ctx.strokeStyle = color;
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        points.forEach((p, i) => {
+          if (i === 0) ctx.moveTo(xOf(p.threshold), yOf(p[key]));
+          else ctx.lineTo(xOf(p.threshold), yOf(p[key]));
+        });
+        ctx.stroke();
+      };
+      drawCurve('far', isLight ? '#DC2626' : '#FCA5A5');
+      drawCurve('frr', colors.primary);
+      
+      // EER marker
+      ctx.strokeStyle = colors.muted;
+      ctx.setLineDash([4, 4]);
+      ctx.beginPath();
+      ctx.moveTo(xOf(eer.threshold), padding);
+      ctx.lineTo(xOf(eer.threshold), height - padding);
+      ctx.stroke();
+      ctx.setLineDash([]);
+      ctx.fillStyle = colors.text;
+      ctx.beginPath();
+      ctx.arc(xOf(eer.threshold), yOf(eer.rate), 4, 0, 2 * Math.PI);
+      ctx.fill();
+      
+      // Labels
+      ctx.font = '10px monospace';
+      ctx.textAlign = 'left';
+      ctx.fillStyle = isLight ? '#DC2626' : '#FCA5A5';
+      ctx.fillText('FAR', padding + 4, padding - 8);
+      ctx.fillStyle = colors.primary;
+      ctx.fillText('FRR', padding + 40, padding - 8);
+      ctx.fillStyle = colors.text;
+      ctx.fillText(`EER ${(eer.rate * 100).toFixed(1)}%`, Math.min(xOf(eer.threshold) + 6, width - padding - 80), yOf(eer.rate) - 6);
+      
+      ctx.fillStyle = colors.muted;
+      ctx.font = '9px monospace';
+      ctx.textAlign = 'center';
+      for (let i = 0; i <= 4; i++) {
+        ctx.fillText(`${i * 25}%`, xOf(i / 4), height - padding + 14);
+      }
+      ctx.fillText('threshold (similarity)', width / 2, height - 6);
+      ctx.textAlign = 'right';
+      ctx.fillText('100%', padding - 4, padding + 3);
+      ctx.fillText('0%', padding - 4, height - padding + 3);
+      
+      ctx.textAlign = 'left';
+    } catch (error) {
+      console.error('Error in renderErrorRateCurves:', error);
+    }
+  }
+
+  function renderRocCurve() {
+    try {
+      const canvas = createCanvas(els.evaluation.roc, 220);
+      if (!canvas || !state.evaluation) return;
+      
+      const ctx = canvas.getContext('2d');
+      const colors = getThemeColors();
+      const { points, eer } = state.evaluation;
+      
+      const width = canvas.width;
+      const height = canvas.height;
+      const padding = 40;
+      // Square plot area so the chance diagonal reads correctly
+      const size = Math.min(width, height) - 2 * padding;
+      const left = (width - size) / 2;
+      const xOf = far => left + far * size;
+      const yOf = gar => height - padding - gar * size;
+      
+      ctx.clearRect(0, 0, width, height);
+      
+      ctx.strokeStyle = colors.border;
+      ctx.lineWidth = 1;
+      ctx.strokeRect(left, height - padding - size, size, size);
+      
+      // Chance line
+      ctx.setLineDash([4, 4]);
+      ctx.beginPath();
+      ctx.moveTo(xOf(0), yOf(0));
+      ctx.lineTo(xOf(1), yOf(1));
+      ctx.stroke();
+      ctx.setLineDash([]);
+      
+      // ROC: FAR on x, genuine accept rate (1 - FRR) on y
+      ctx.strokeStyle = colors.primary;
+      ctx.lineWidth = 2;
+      ctx.beginPath();
+      points.forEach((p, i) => {
+        if (i === 0) ctx.moveTo(xOf(p.far), yOf(1 - p.frr));
+        else ctx.lineTo(xOf(p.far), yOf(1 - p.frr));
+      });
+      ctx.stroke();
+      
+      ctx.fillStyle = colors.text;
+      ctx.beginPath();
+      ctx.arc(xOf(eer.rate), yOf(1 - eer.rate), 4, 0, 2 * Math.PI);
+      ctx.fill();
+      
+      ctx.fillStyle = colors.muted;
+      ctx.font = '9px monospace';
+      ctx.textAlign = 'center';
+      ctx.fillText('FAR', left + size / 2, height - padding + 14);
+      ctx.save();
+      ctx.translate(left - 14, height - padding - size / 2);
+      ctx.rotate(-Math.PI / 2);
+      ctx.fillText('1 - FRR', 0, 0);
+      ctx.restore();
+      
+      ctx.textAlign = 'left';
+    } catch (error) {
+      console.error('Error in renderRocCurve:', error);
+    }
   }
 
   // Start the app